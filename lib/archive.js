@@ -0,0 +1,106 @@
+/**
+ * archive.js - 压缩包识别与解压
+ *
+ * 识别单个和分卷的 .rar / .7z / .zip（name.part1.rar、name.rar + name.r00、
+ * name.7z.001、name.zip + name.z01 等），用 7z 解压到临时目录。
+ * 同一目录下的分卷归为一组，以第一个分卷作为解压入口。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const EXTRACT_COMMAND = '7z';
+
+// 分卷格式：entry 匹配第一个分卷，volume 匹配同组的全部分卷
+const ARCHIVE_FORMATS = [
+    { entry: /^(.+)\.part0*1\.rar$/i, volume: base => new RegExp('^' + escapeRegExp(base) + '\\.part\\d+\\.rar$', 'i') },
+    { entry: /^(?!.*\.part\d+\.rar$)(.+)\.rar$/i, volume: base => new RegExp('^' + escapeRegExp(base) + '\\.(rar|r\\d{2,3})$', 'i') },
+    { entry: /^(.+\.(?:7z|zip|rar))\.0*1$/i, volume: base => new RegExp('^' + escapeRegExp(base) + '\\.\\d{3}$', 'i') },
+    { entry: /^(.+)\.7z$/i, volume: base => new RegExp('^' + escapeRegExp(base) + '\\.7z$', 'i') },
+    { entry: /^(.+)\.zip$/i, volume: base => new RegExp('^' + escapeRegExp(base) + '\\.(zip|z\\d{2})$', 'i') }
+];
+
+// 可能属于压缩包的文件名（下载过程中先不上传，等整组分卷完成后再处理）
+const ARCHIVE_VOLUME = /\.(rar|r\d{2,3}|7z|zip|z\d{2})$|\.(7z|zip|rar)\.\d{3}$/i;
+
+// options.extract_archives（或环境变量 EXTRACT_ARCHIVES）开启，未开启返回 null
+function parseExtractOptions(options = {}, env = {}) {
+    const enabled = options.extract_archives ?? env.EXTRACT_ARCHIVES;
+    if (enabled !== true && enabled !== 'true') return null;
+    return {
+        password: options.archive_password || env.ARCHIVE_PASSWORD || '',
+        skipArchives: options.skip_archives === true || options.skip_archives === 'true',
+        results: []   // 每个压缩包的解压结果，随回调返回
+    };
+}
+
+function isArchiveVolume(filePath) {
+    return ARCHIVE_VOLUME.test(path.basename(filePath));
+}
+
+// 在文件列表中按目录分组识别压缩包，返回 [{ entry, volumes }]
+function findArchiveSets(filePaths) {
+    const byDir = new Map();
+    for (const filePath of filePaths) {
+        const dir = path.dirname(filePath);
+        if (!byDir.has(dir)) byDir.set(dir, []);
+        byDir.get(dir).push(path.basename(filePath));
+    }
+
+    const sets = [];
+    for (const [dir, names] of byDir) {
+        const claimed = new Set();
+        for (const format of ARCHIVE_FORMATS) {
+            for (const name of names) {
+                const match = !claimed.has(name) && name.match(format.entry);
+                if (!match) continue;
+                const pattern = format.volume(match[1]);
+                const volumes = names.filter(n => !claimed.has(n) && pattern.test(n)).sort();
+                volumes.forEach(n => claimed.add(n));
+                sets.push({ entry: path.join(dir, name), volumes: volumes.map(n => path.join(dir, n)) });
+            }
+        }
+    }
+    return sets;
+}
+
+// 解压到 destDir，返回解压出的文件（相对 destDir 的路径）；始终传入 -p，避免加密压缩包等待输入密码
+function extractArchive(entry, destDir, password = '') {
+    fs.mkdirSync(destDir, { recursive: true });
+    return new Promise((resolve, reject) => {
+        const proc = spawn(EXTRACT_COMMAND, ['x', '-y', '-p' + password, '-o' + destDir, entry], { stdio: ['ignore', 'ignore', 'pipe'] });
+        let stderr = '';
+        proc.stderr.on('data', (data) => { stderr += data; });
+        proc.on('error', (err) => reject(new Error('Failed to start ' + EXTRACT_COMMAND + ': ' + err.message)));
+        proc.on('close', (code) => {
+            if (code !== 0) {
+                const detail = stderr.trim().split('\n').filter(l => l.trim()).pop() || '';
+                return reject(new Error(EXTRACT_COMMAND + ' exited with code ' + code + (detail ? ': ' + detail : '')));
+            }
+            resolve(listExtractedFiles(destDir));
+        });
+    });
+}
+
+// 只收集普通文件，忽略压缩包中的符号链接等
+function listExtractedFiles(rootDir, dir = rootDir, arr = []) {
+    for (const name of fs.readdirSync(dir)) {
+        const fullPath = path.join(dir, name);
+        const stats = fs.lstatSync(fullPath);
+        if (stats.isDirectory()) listExtractedFiles(rootDir, fullPath, arr);
+        else if (stats.isFile()) arr.push(path.relative(rootDir, fullPath).replace(/\\/g, '/'));
+    }
+    return arr;
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+    parseExtractOptions,
+    isArchiveVolume,
+    findArchiveSets,
+    extractArchive
+};
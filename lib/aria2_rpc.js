@@ -0,0 +1,211 @@
+/**
+ * aria2_rpc.js - aria2 JSON-RPC client
+ *
+ * 以 --enable-rpc 启动 aria2c，通过 tellStatus / getFiles
+ * 获取精确的字节数、文件完成情况、连接数和 bitfield，不再解析控制台输出。
+ */
+
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+const READY_TIMEOUT = 15000;
+const SHUTDOWN_TIMEOUT = 15000;
+// 同一次运行中的所有 aria2c（元数据、各批次下载）共用 DHT 路由表：退出时保存，下次启动时加载，不必每次重新加入 DHT
+const STATE_DIR = process.env.ARIA2_STATE_DIR || path.join(os.tmpdir(), 'magnet-aria2-' + process.pid);
+// 默认目录只供本进程使用，退出时删除；ARIA2_STATE_DIR 指定的目录保留，供之后的运行复用
+if (!process.env.ARIA2_STATE_DIR) process.on('exit', () => fs.rmSync(STATE_DIR, { recursive: true, force: true }));
+// 路由表为空时的 DHT 入口节点
+const DHT_ENTRY_POINT = 'dht.transmissionbt.com:6881';
+// 运行中的 aria2c，取消任务时全部关闭
+const runningClients = new Set();
+
+// 启动 aria2c（RPC 模式），返回可调用的客户端
+async function startAria2(extraArgs = []) {
+    const port = await getFreePort();
+    const secret = crypto.randomBytes(16).toString('hex');
+    fs.mkdirSync(STATE_DIR, { recursive: true });
+    const args = [
+        '--enable-rpc',
+        '--rpc-listen-port=' + port,
+        '--rpc-secret=' + secret,
+        '--rpc-listen-all=false',
+        '--console-log-level=warn',
+        '--summary-interval=0',
+        '--enable-dht=true',
+        '--dht-file-path=' + path.join(STATE_DIR, 'dht.dat'),
+        '--dht-file-path6=' + path.join(STATE_DIR, 'dht6.dat'),
+        '--dht-entry-point=' + DHT_ENTRY_POINT,
+        ...extraArgs
+    ];
+
+    const proc = spawn('aria2c', args);
+    const client = createAria2Client(port, secret, proc);
+    proc.stdout.on('data', (data) => console.log(data.toString().trimEnd()));
+    proc.stderr.on('data', (data) => console.error(data.toString().trimEnd()));
+    runningClients.add(client);
+    client.waitForExit().then(() => runningClients.delete(client));
+
+    await client.waitReady();
+    return client;
+}
+
+// 关闭所有运行中的 aria2c
+async function shutdownAll() {
+    await Promise.all([...runningClients].map(client => client.shutdown()));
+}
+
+function createAria2Client(port, secret, proc) {
+    const endpoint = 'http://127.0.0.1:' + port + '/jsonrpc';
+    let requestId = 0;
+    let exitCode = null;
+    let spawnError = null;
+
+    const exited = new Promise((resolve) => {
+        proc.on('error', (err) => { spawnError = err; exitCode = -1; resolve(-1); });
+        proc.on('close', (code) => { if (exitCode === null) exitCode = code; resolve(exitCode); });
+    });
+
+    const call = async (method, ...params) => {
+        const response = await axios.post(endpoint, {
+            jsonrpc: '2.0',
+            id: String(++requestId),
+            method,
+            params: ['token:' + secret, ...params]
+        }, { timeout: 30000, validateStatus: () => true });
+        if (response.data?.error) {
+            const err = new Error('aria2 ' + method + ': ' + response.data.error.message);
+            err.rpcCode = response.data.error.code;
+            throw err;
+        }
+        return response.data.result;
+    };
+
+    const client = {
+        port,
+        process: proc,
+        call,
+        isRunning: () => exitCode === null,
+        exitCode: () => exitCode,
+
+        // 等待 RPC 端口可用
+        waitReady: async () => {
+            const deadline = Date.now() + READY_TIMEOUT;
+            while (Date.now() < deadline) {
+                if (spawnError) throw new Error('Failed to start aria2c: ' + spawnError.message);
+                if (exitCode !== null) throw new Error('aria2c exited with code ' + exitCode);
+                try {
+                    await call('aria2.getVersion');
+                    return;
+                } catch (e) {
+                    await new Promise(resolve => setTimeout(resolve, 200));
+                }
+            }
+            proc.kill();
+            throw new Error('aria2c RPC not ready after ' + (READY_TIMEOUT / 1000) + 's');
+        },
+
+        addUri: (uris, options = {}) => call('aria2.addUri', uris, options),
+        addTorrent: (torrentBase64, options = {}) => call('aria2.addTorrent', torrentBase64, [], options),
+        tellStatus: (gid, keys) => keys ? call('aria2.tellStatus', gid, keys) : call('aria2.tellStatus', gid),
+        getFiles: (gid) => call('aria2.getFiles', gid),
+        remove: (gid) => call('aria2.forceRemove', gid),
+
+        // 关闭 aria2c，RPC 无响应或超时则直接结束进程
+        shutdown: async () => {
+            if (exitCode !== null) return exitCode;
+            try {
+                await call('aria2.forceShutdown');
+            } catch (e) {
+                proc.kill();
+            }
+            const timer = setTimeout(() => proc.kill('SIGKILL'), SHUTDOWN_TIMEOUT);
+            const code = await exited;
+            clearTimeout(timer);
+            return code;
+        },
+
+        waitForExit: () => exited
+    };
+    return client;
+}
+
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.unref();
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+// aria2 状态转换为进度上报格式（字段与原控制台解析结果保持一致）
+function statusToProgress(status) {
+    const total = parseInt(status.totalLength) || 0;
+    const completed = parseInt(status.completedLength) || 0;
+    const speed = parseInt(status.downloadSpeed) || 0;
+    const percent = total > 0 ? Math.floor((completed / total) * 100) : 0;
+    const eta = speed > 0 ? formatDuration((total - completed) / speed) : '-';
+    const peers = parseInt(status.connections) || 0;
+    return {
+        downloaded: formatBytes(completed),
+        total: formatBytes(total),
+        percent,
+        speed: formatBytes(speed),
+        eta,
+        peers,
+        seeders: parseInt(status.numSeeders) || 0,
+        downloadedBytes: completed,
+        totalBytes: total,
+        progress: `${formatBytes(completed)}/${formatBytes(total)} (${percent}%) CN:${peers} DL:${formatBytes(speed)} ETA:${eta}`
+    };
+}
+
+// bitfield 为 tellStatus 返回的十六进制串，每位对应一个分片（高位在前）
+function hasPiece(bitfield, index) {
+    const nibble = parseInt(bitfield[index >> 2], 16);
+    return (nibble & (8 >> (index & 3))) !== 0;
+}
+
+// 从 torrent 字节偏移 start 起，连续已校验分片覆盖的字节数（不超过 end）
+function contiguousBytes(bitfield, pieceLength, start, end) {
+    if (!bitfield || !pieceLength || end <= start) return 0;
+    let piece = Math.floor(start / pieceLength);
+    while (piece * pieceLength < end && hasPiece(bitfield, piece)) piece++;
+    return Math.max(0, Math.min(piece * pieceLength, end) - start);
+}
+
+function formatBytes(bytes) {
+    const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return (unit === 0 || value >= 100 ? Math.round(value) : value.toFixed(1).replace(/\.0$/, '')) + units[unit];
+}
+
+function formatDuration(seconds) {
+    let s = Math.round(seconds);
+    const h = Math.floor(s / 3600);
+    s -= h * 3600;
+    const m = Math.floor(s / 60);
+    s -= m * 60;
+    return (h ? h + 'h' : '') + (h || m ? m + 'm' : '') + s + 's';
+}
+
+module.exports = {
+    startAria2,
+    shutdownAll,
+    statusToProgress,
+    contiguousBytes,
+    formatBytes
+};
@@ -0,0 +1,54 @@
+/**
+ * batch.js - 批量任务
+ *
+ * options.tasks 为任务列表时，一次派发依次处理多个任务（每项有自己的来源、上传目录和 task id），
+ * 共用存储令牌、tracker 列表和磁盘空间；每个任务单独上报进度和回调，一个任务失败不影响后续任务。
+ */
+
+// 返回 [{ taskId, source, uploadFolder, options }]；没有 tasks 时为环境变量描述的单个任务
+// 每项中 task_id / source / upload_folder 以外的字段覆盖共用的任务选项
+function parseBatchTasks(options = {}, env = {}) {
+    if (!Array.isArray(options.tasks) || options.tasks.length === 0) {
+        return [{
+            taskId: env.TASK_ID || '',
+            source: options.source || options.torrent || env.MAGNET,
+            uploadFolder: env.UPLOAD_FOLDER || '',
+            options
+        }];
+    }
+
+    const shared = { ...options };
+    delete shared.tasks;
+    delete shared.source;
+    delete shared.torrent;
+    return options.tasks.map((item, i) => {
+        const { task_id, source, torrent, magnet, upload_folder, ...overrides } = item || {};
+        return {
+            // 未指定 task_id 时由 TASK_ID 加序号生成
+            taskId: task_id || (env.TASK_ID ? env.TASK_ID + '-' + (i + 1) : ''),
+            source: source || torrent || magnet,
+            uploadFolder: upload_folder ?? env.UPLOAD_FOLDER ?? '',
+            options: { ...shared, ...overrides }
+        };
+    });
+}
+
+// 依次执行，单个任务的错误只记录在结果中；返回 [{ taskId, status: 'completed' | 'failed' | 'cancelled', error }]
+// 错误分类码为 cancelled 的任务记为 cancelled，不算失败
+async function runBatch(tasks, run) {
+    const results = [];
+    for (let i = 0; i < tasks.length; i++) {
+        try {
+            await run(tasks[i], i);
+            results.push({ taskId: tasks[i].taskId, status: 'completed' });
+        } catch (err) {
+            results.push({ taskId: tasks[i].taskId, status: err.taskCode === 'cancelled' ? 'cancelled' : 'failed', error: err });
+        }
+    }
+    return results;
+}
+
+module.exports = {
+    parseBatchTasks,
+    runBatch
+};
@@ -0,0 +1,195 @@
+/**
+ * callback.js - 回调与进度上报协议
+ *
+ * 请求体为 JSON，均带 protocolVersion、type（progress / result）、taskId 和 sentAt。
+ * 配置了共享密钥时对原始请求体签名，接收端应校验签名并拒绝时间戳过旧或重复的 nonce：
+ *   X-Signature: sha256=HMAC-SHA256(secret, timestamp + '.' + nonce + '.' + body) 的十六进制
+ *   X-Timestamp: 毫秒时间戳    X-Nonce: 随机串    X-Protocol-Version: 协议版本
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+const PROTOCOL_VERSION = 1;
+const RESULT_MAX_RETRIES = 5;
+const RESULT_TIMEOUT = 30000;
+const PROGRESS_TIMEOUT = 10000;
+// 进度事件的附加字段（README 回调协议一节），其余字段不发送
+const PROGRESS_FIELDS = [
+    'plan',
+    'downloaded', 'total', 'speed', 'eta', 'peers', 'seeders', 'downloadedBytes', 'totalBytes',
+    'uploaded', 'uploadedBytes', 'throughput', 'uploadSpeed',
+    'currentFile', 'filesDone', 'fileIndex', 'fileCount', 'batchIndex', 'batchCount'
+];
+
+function signBody(secret, timestamp, nonce, body) {
+    return crypto.createHmac('sha256', secret).update(timestamp + '.' + nonce + '.' + body).digest('hex');
+}
+
+// 每次发送（包括重试）都使用新的时间戳和 nonce 重新签名
+async function postSigned(url, payload, secret, timeout) {
+    const body = JSON.stringify(payload);
+    const headers = { 'Content-Type': 'application/json', 'X-Protocol-Version': String(PROTOCOL_VERSION) };
+    if (secret) {
+        const timestamp = String(Date.now());
+        const nonce = crypto.randomBytes(16).toString('hex');
+        headers['X-Timestamp'] = timestamp;
+        headers['X-Nonce'] = nonce;
+        headers['X-Signature'] = 'sha256=' + signBody(secret, timestamp, nonce, body);
+    }
+    return axios.post(url, body, { headers, timeout });
+}
+
+// 未显式配置时沿用旧规则：callback URL 路径中的 /callback 换成 /progress；无法推导则不上报进度
+function resolveProgressUrl(progressUrl, callbackUrl) {
+    if (progressUrl) return progressUrl;
+    if (!callbackUrl || !callbackUrl.includes('/callback')) return '';
+    return callbackUrl.replace('/callback', '/progress');
+}
+
+// 控制端点的推导规则同进度 URL：/callback 换成 /control
+function resolveControlUrl(controlUrl, callbackUrl) {
+    if (controlUrl) return controlUrl;
+    if (!callbackUrl || !callbackUrl.includes('/callback')) return '';
+    return callbackUrl.replace('/callback', '/control');
+}
+
+// 进度事件：phase / percent / progress 始终存在，附加字段只取 PROGRESS_FIELDS 中有值的
+function progressEvent(taskId, sequence, data) {
+    const { phase = '', percent, progress = '' } = data;
+    const details = {};
+    for (const field of PROGRESS_FIELDS) {
+        if (data[field] !== undefined) details[field] = data[field];
+    }
+    return {
+        protocolVersion: PROTOCOL_VERSION,
+        type: 'progress',
+        taskId,
+        sequence,
+        sentAt: new Date().toISOString(),
+        phase,
+        percent: Number.isFinite(percent) ? Math.min(100, Math.max(0, Math.round(percent))) : null,
+        progress,
+        ...details
+    };
+}
+
+// 结果事件：status 为 completed / failed / partial / cancelled
+function resultEvent(body) {
+    return {
+        protocolVersion: PROTOCOL_VERSION,
+        type: 'result',
+        ...body,
+        sentAt: new Date().toISOString()
+    };
+}
+
+// 网络错误、408、429 和 5xx 重试，其余 4xx 说明请求本身有问题
+function isRetryableCallbackError(err) {
+    const status = err.response?.status;
+    return !status || status === 408 || status === 429 || status >= 500;
+}
+
+// 最终回调：失败时指数退避重试（遵循 Retry-After），全部失败只记录日志，不影响任务结果
+async function sendCallback(callbackUrl, body, secret = '') {
+    if (!callbackUrl) return false;
+    const payload = resultEvent(body);
+    for (let attempt = 0; ; attempt++) {
+        try {
+            await postSigned(callbackUrl, payload, secret, RESULT_TIMEOUT);
+            console.log('Callback sent (' + body.status + ')');
+            return true;
+        } catch (e) {
+            const reason = e.response ? 'HTTP ' + e.response.status : e.message;
+            if (attempt >= RESULT_MAX_RETRIES || !isRetryableCallbackError(e)) {
+                console.error('Callback failed:', reason);
+                return false;
+            }
+            const retryAfter = parseInt(e.response?.headers?.['retry-after']) * 1000;
+            const delay = retryAfter > 0 ? retryAfter : Math.min(30000, 1000 * 2 ** attempt);
+            console.error('Callback failed (' + reason + '), retrying in ' + Math.round(delay / 1000) + 's');
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+// 询问控制端点：发送 { type: 'control', taskId }，响应 JSON 中 action 为 cancel 时取消任务（lib/cancel.js）
+async function fetchControl(controlUrl, taskId, secret = '') {
+    const payload = { protocolVersion: PROTOCOL_VERSION, type: 'control', taskId, sentAt: new Date().toISOString() };
+    const response = await postSigned(controlUrl, payload, secret, PROGRESS_TIMEOUT);
+    return response.data && typeof response.data === 'object' ? response.data : {};
+}
+
+// 创建进度报告器（带并发控制和节流，只发送最新的进度）
+function createProgressReporter(progressUrl, taskId, secret = '') {
+    let lastReportedPercent = -100;
+    let lastPhase = '';
+    let isReporting = false;
+    let nextReport = null;
+    let sequence = 0;
+
+    // 实际发送请求的函数
+    const processQueue = async () => {
+        if (isReporting || !nextReport) return;
+
+        isReporting = true;
+        const data = nextReport;
+        nextReport = null; // 清空队列，只处理最新的
+
+        try {
+            console.log(`Reporting progress (${data.phase}): ${data.percent}%`);
+            // sequence 递增，接收端可丢弃乱序到达的旧事件
+            await postSigned(progressUrl, progressEvent(taskId, ++sequence, data), secret, PROGRESS_TIMEOUT);
+            console.log('Progress reported successfully');
+
+            // 只有成功才更新标记
+            lastReportedPercent = data.percent || 0;
+            lastPhase = data.phase;
+        } catch (e) {
+            console.error('Progress report failed:', e.message);
+            // 失败不更新 lastReportedPercent，下次有机会重试
+        } finally {
+            isReporting = false;
+            // 如果在发送期间有新数据进来，继续处理
+            if (nextReport) processQueue();
+        }
+    };
+
+    return (data) => {
+        if (!progressUrl || !taskId) return;
+
+        // 阶段变化强制重置
+        if (data.phase !== lastPhase && lastPhase !== '') {
+            lastReportedPercent = -100;
+        }
+
+        const currentPercent = data.percent || 0;
+        const isUpload = data.phase && data.phase.includes('upload');
+        const threshold = isUpload ? 35 : 10;
+
+        // 关键事件强制上报：完成、元数据、或者达到阈值
+        const isImportant =
+            data.phase === 'completed' ||
+            data.phase === 'metadata' ||
+            data.phase !== lastPhase ||
+            (currentPercent - lastReportedPercent >= threshold);
+
+        if (isImportant) {
+            nextReport = data;
+            processQueue();
+        }
+    };
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    PROGRESS_FIELDS,
+    signBody,
+    resolveProgressUrl,
+    resolveControlUrl,
+    progressEvent,
+    resultEvent,
+    sendCallback,
+    fetchControl,
+    createProgressReporter
+};
@@ -0,0 +1,166 @@
+/**
+ * cancel.js - 取消任务
+ *
+ * 取消来自控制端点（定期轮询，响应 { action: 'cancel' }）或进程收到 SIGTERM / SIGINT（取消 Actions 运行时）。
+ * 取消时先执行登记的清理函数（结束 aria2c、删除未完成的上传会话），再让任务以 cancelled 错误结束，
+ * 不等待进行中的下载和上传自行退出；之后对存储的调用直接失败。
+ */
+
+const { fetchControl } = require('./callback');
+
+const CONTROL_INTERVAL = 30000;
+// 收到信号后清理与回调的最长时间，超时强制退出
+const SIGNAL_GRACE_TIME = 20000;
+const CANCELLED = 'cancelled';
+
+function createCancellation() {
+    const hooks = new Set();
+    let reason = '';
+    let rejectCancelled;
+    const cancelled = new Promise((resolve, reject) => { rejectCancelled = reject; });
+    cancelled.catch(() => {});
+
+    const cancellation = {
+        isCancelled: () => reason !== '',
+        reason: () => reason,
+
+        // 登记清理函数，返回注销函数
+        onCancel: (hook) => {
+            hooks.add(hook);
+            return () => hooks.delete(hook);
+        },
+
+        // 依次等待全部清理函数（失败只记录日志），然后让 race 中的任务结束
+        cancel: async (why) => {
+            if (reason) return;
+            reason = why || 'Task cancelled';
+            console.error('Cancelling:', reason);
+            await Promise.all([...hooks].map(async (hook) => {
+                try {
+                    await hook(reason);
+                } catch (e) {
+                    console.error('Cleanup after cancel failed:', e.message);
+                }
+            }));
+            rejectCancelled(cancelledError(reason));
+        },
+
+        throwIfCancelled: () => {
+            if (reason) throw cancelledError(reason);
+        },
+
+        // promise 完成或任务被取消（以先到者为准）
+        race: (promise) => {
+            promise.catch(() => {});
+            return Promise.race([promise, cancelled]);
+        }
+    };
+    return cancellation;
+}
+
+function cancelledError(reason) {
+    const err = new Error('Task cancelled: ' + reason);
+    err.taskCode = CANCELLED;
+    return err;
+}
+
+// 存储装饰器：记录未完成的上传会话，取消时逐个放弃（OneDrive 为 DELETE 上传地址）；取消后的调用直接抛出 cancelled
+function withCancellation(storage, cancellation) {
+    const openSessions = new Set();
+    cancellation.onCancel(async () => {
+        const sessions = [...openSessions];
+        openSessions.clear();
+        if (sessions.length > 0) console.log('Aborting', sessions.length, 'open upload sessions');
+        await Promise.all(sessions.map(session => storage.abort(session).catch(e => {
+            console.error('Cannot abort upload session for', session.remotePath || '', e.message);
+        })));
+    });
+
+    const guarded = (method) => async (...args) => {
+        cancellation.throwIfCancelled();
+        return storage[method](...args);
+    };
+
+    return {
+        ...storage,
+        putFile: guarded('putFile'),
+        putChunk: guarded('putChunk'),
+        getOffset: guarded('getOffset'),
+        exists: guarded('exists'),
+        remove: guarded('remove'),
+        removeItem: guarded('removeItem'),
+        initSession: async (...args) => {
+            cancellation.throwIfCancelled();
+            const session = await storage.initSession(...args);
+            openSessions.add(session);
+            // 会话在取消过程中刚创建完成：同样放弃
+            if (cancellation.isCancelled()) {
+                openSessions.delete(session);
+                await storage.abort(session).catch(() => {});
+                cancellation.throwIfCancelled();
+            }
+            return session;
+        },
+        finalize: async (session) => {
+            cancellation.throwIfCancelled();
+            const item = await storage.finalize(session);
+            openSessions.delete(session);
+            return item;
+        },
+        abort: async (session) => {
+            openSessions.delete(session);
+            await storage.abort(session);
+        }
+    };
+}
+
+// 定期向控制端点询问是否取消，返回停止函数；请求失败只记录日志，端点不存在（404）时停止轮询
+function watchControl(controlUrl, taskId, secret, cancellation, interval = CONTROL_INTERVAL) {
+    if (!controlUrl || !taskId) return () => {};
+    let polling = false;
+    let timer = null;
+    timer = setInterval(async () => {
+        if (polling || cancellation.isCancelled()) return;
+        polling = true;
+        try {
+            const control = await fetchControl(controlUrl, taskId, secret);
+            if (control.action === 'cancel') await cancellation.cancel('Cancelled remotely' + (control.reason ? ': ' + control.reason : ''));
+        } catch (e) {
+            if (e.response?.status === 404) {
+                console.log('Control endpoint not found, remote cancellation disabled');
+                clearInterval(timer);
+            } else {
+                console.error('Control request failed:', e.response ? 'HTTP ' + e.response.status : e.message);
+            }
+        } finally {
+            polling = false;
+        }
+    }, interval);
+    timer.unref();
+    return () => clearInterval(timer);
+}
+
+// SIGTERM / SIGINT 时取消；再次收到信号或清理超时则立即退出
+// 返回函数：收到信号后为该信号对应的退出码（SIGTERM 143 / SIGINT 130），否则为 0
+function handleSignals(cancellation, graceTime = SIGNAL_GRACE_TIME) {
+    let received = 0;
+    for (const [signal, exitCode] of [['SIGTERM', 143], ['SIGINT', 130]]) {
+        process.on(signal, () => {
+            if (cancellation.isCancelled()) {
+                console.error('Received', signal, 'again, exiting');
+                process.exit(exitCode);
+            }
+            received = exitCode;
+            setTimeout(() => process.exit(exitCode), graceTime).unref();
+            cancellation.cancel('Received ' + signal);
+        });
+    }
+    return () => received;
+}
+
+module.exports = {
+    createCancellation,
+    withCancellation,
+    watchControl,
+    handleSignals
+};
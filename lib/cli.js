@@ -0,0 +1,108 @@
+/**
+ * cli.js - 命令行参数
+ *
+ * 本地调试时不必手动设置 workflow 传入的环境变量：
+ *   node stream_upload.js --source <磁力/info-hash/种子地址/直链> --folder <上传目录> --mode auto|normal|streaming|sequential
+ *   node stream_upload.js --config task.json --dry-run
+ * 配置文件与 client_payload 格式相同：顶层字段按大写名设置环境变量（magnet → MAGNET、od_refresh_token → OD_REFRESH_TOKEN），
+ * options 对象合并到任务选项。优先级：命令行参数 > 配置文件 > 环境变量。
+ */
+
+const fs = require('fs');
+const { DOWNLOAD_MODES } = require('./planner');
+
+const USAGE = `Usage: node stream_upload.js [options]
+
+  --source <uri>       magnet link, info-hash, .torrent URL/base64 or HTTP(S)/FTP URL
+  --folder <path>      upload folder (UPLOAD_FOLDER)
+  --mode <mode>        auto | normal | streaming | sequential (default auto)
+  --task-id <id>       task id (TASK_ID)
+  --config <file>      JSON file in client_payload format
+  --option <key=value> task option, value parsed as JSON when possible (repeatable)
+  --dry-run            fetch metadata and print the plan without downloading or uploading
+  --help               show this help
+
+Without arguments, the task is read from environment variables as in the workflow.`;
+
+// 返回 { env, options, dryRun, help }：env 为要设置的环境变量，options 合并到 TASK_OPTIONS
+function parseCommandLine(argv) {
+    const result = { env: {}, options: {}, dryRun: false, help: false };
+    const flags = { env: {}, options: {} };
+    let config = null;
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const eq = arg.indexOf('=');
+        const name = arg.startsWith('--') && eq > 0 ? arg.slice(0, eq) : arg;
+        // --name value 或 --name=value
+        const value = () => {
+            if (name !== arg) return arg.slice(eq + 1);
+            if (i + 1 >= argv.length) throw new Error('Missing value for ' + name);
+            return argv[++i];
+        };
+
+        switch (name) {
+            case '--source': flags.options.source = value(); break;
+            case '--folder': flags.env.UPLOAD_FOLDER = value(); break;
+            case '--task-id': flags.env.TASK_ID = value(); break;
+            case '--config': config = readConfig(value()); break;
+            case '--mode': {
+                const mode = value().toLowerCase();
+                if (!DOWNLOAD_MODES.includes(mode)) throw new Error('Invalid mode: ' + mode + ' (expected ' + DOWNLOAD_MODES.join(', ') + ')');
+                flags.options.download_mode = mode;
+                break;
+            }
+            case '--option': {
+                const [key, raw] = splitOption(value());
+                flags.options[key] = parseValue(raw);
+                break;
+            }
+            case '--dry-run': result.dryRun = true; break;
+            case '--help':
+            case '-h': result.help = true; break;
+            default: throw new Error('Unknown argument: ' + arg);
+        }
+    }
+
+    result.env = { ...config?.env, ...flags.env };
+    result.options = { ...config?.options, ...flags.options };
+    return result;
+}
+
+// client_payload 格式的 JSON 文件
+function readConfig(file) {
+    let payload;
+    try {
+        payload = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        throw new Error('Cannot read config ' + file + ': ' + e.message);
+    }
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) throw new Error('Config ' + file + ' must be a JSON object');
+
+    const env = {};
+    for (const [key, value] of Object.entries(payload)) {
+        if (key === 'options' || value === null || typeof value === 'object') continue;
+        env[key.toUpperCase()] = String(value);
+    }
+    return { env, options: payload.options && typeof payload.options === 'object' ? payload.options : {} };
+}
+
+function splitOption(text) {
+    const eq = text.indexOf('=');
+    if (eq <= 0) throw new Error('Invalid --option ' + text + ' (expected key=value)');
+    return [text.slice(0, eq), text.slice(eq + 1)];
+}
+
+// true / 3 / ["a"] 等按 JSON 解析，其余按字符串
+function parseValue(raw) {
+    try {
+        return JSON.parse(raw);
+    } catch {
+        return raw;
+    }
+}
+
+module.exports = {
+    USAGE,
+    parseCommandLine
+};
@@ -0,0 +1,100 @@
+/**
+ * file_filter.js - 多文件种子的文件筛选
+ *
+ * 支持 include/exclude 通配符、最小/最大文件大小和显式序号列表，
+ * 作用于 fetchMetadata 得到的 fileList。
+ */
+
+// 从任务选项读取筛选条件（数组或逗号分隔的通配符 / 序号，大小支持 K/M/G 后缀）
+function parseFileFilter(options) {
+    return {
+        include: splitList(options.include),
+        exclude: splitList(options.exclude),
+        minSize: parseSize(options.min_size),
+        maxSize: parseSize(options.max_size),
+        indexes: splitList(options.file_indexes).flatMap(parseIndexRange)
+    };
+}
+
+function isFilterActive(filter) {
+    return filter.include.length > 0 || filter.exclude.length > 0 || filter.minSize > 0 || filter.maxSize > 0 || filter.indexes.length > 0;
+}
+
+// 返回 { selected, skipped }，skipped 中记录跳过原因
+function applyFileFilter(fileList, filter) {
+    const include = filter.include.map(globToRegExp);
+    const exclude = filter.exclude.map(globToRegExp);
+    const selected = [];
+    const skipped = [];
+
+    for (const file of fileList) {
+        let reason = '';
+        if (filter.indexes.length > 0 && !filter.indexes.includes(file.index)) reason = 'index';
+        else if (include.length > 0 && !include.some(re => matchesPath(re, file.path))) reason = 'include';
+        else if (exclude.some(re => matchesPath(re, file.path))) reason = 'exclude';
+        else if (filter.minSize > 0 && file.size < filter.minSize) reason = 'min_size';
+        else if (filter.maxSize > 0 && file.size > filter.maxSize) reason = 'max_size';
+
+        if (reason) skipped.push({ ...file, reason });
+        else selected.push(file);
+    }
+    return { selected, skipped };
+}
+
+// 不含 / 的模式只匹配文件名；含 / 的模式匹配相对路径或其任意下级部分（如 Subs/** 匹配 Name/Subs/a.srt）
+function matchesPath(re, filePath) {
+    const parts = filePath.split('/');
+    if (re.matchBasename) return re.test(parts[parts.length - 1]);
+    return parts.some((_, i) => re.test(parts.slice(i).join('/')));
+}
+
+// 通配符：** 匹配任意路径，* 匹配除 / 外的任意字符，? 匹配单个字符；不区分大小写
+function globToRegExp(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const c = glob[i];
+        if (c === '*' && glob[i + 1] === '*') {
+            source += '.*';
+            i++;
+            if (glob[i + 1] === '/') i++;
+        } else if (c === '*') {
+            source += '[^/]*';
+        } else if (c === '?') {
+            source += '[^/]';
+        } else {
+            source += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    const re = new RegExp('^' + source + '$', 'i');
+    re.matchBasename = !glob.includes('/');
+    return re;
+}
+
+function splitList(value) {
+    const items = Array.isArray(value) ? value : String(value ?? '').split(',');
+    return items.map(s => String(s).trim()).filter(s => s);
+}
+
+// "3" -> [3]，"5-8" -> [5, 6, 7, 8]
+function parseIndexRange(value) {
+    const range = value.match(/^(\d+)-(\d+)$/);
+    if (!range) return parseInt(value) > 0 ? [parseInt(value)] : [];
+    const indexes = [];
+    for (let i = parseInt(range[1]); i <= parseInt(range[2]); i++) indexes.push(i);
+    return indexes;
+}
+
+// "500" / "100K" / "1.5G" / "200MB" -> 字节数
+function parseSize(value) {
+    const match = String(value ?? '').trim().match(/^([\d.]+)\s*([KMGT]?)i?B?$/i);
+    if (!match) return 0;
+    const units = { '': 1, K: 1024, M: 1024 ** 2, G: 1024 ** 3, T: 1024 ** 4 };
+    return Math.round(parseFloat(match[1]) * units[match[2].toUpperCase()]);
+}
+
+module.exports = {
+    parseFileFilter,
+    isFilterActive,
+    applyFileFilter,
+    parseSize
+};
@@ -0,0 +1,147 @@
+/**
+ * manifest.js - 任务清单（断点续传）
+ *
+ * 清单以 JSON 保存在存储端 rootPath/.tasks/<taskId>.json，记录每个文件的上传状态、
+ * itemId 以及未完成上传会话的位置。runner 超时或被取消后，带 resume 选项重新派发任务即可
+ * 跳过已上传的文件，并从存储端确认的位置继续未完成的上传会话。
+ */
+
+const MANIFEST_VERSION = 1;
+const SAVE_INTERVAL = 60000;
+
+function manifestPathFor(rootPath, taskId) {
+    return [rootPath, '.tasks', taskId + '.json'].filter(p => p).join('/');
+}
+
+// 读取已有清单，不存在或无法解析返回 null
+async function loadManifest(storage, manifestPath) {
+    const buffer = await storage.getFile(manifestPath);
+    if (!buffer) return null;
+    try {
+        const data = JSON.parse(buffer.toString('utf8'));
+        return data.version === MANIFEST_VERSION ? data : null;
+    } catch (e) {
+        console.error('Invalid task manifest:', e.message);
+        return null;
+    }
+}
+
+// data: { taskId, source, torrentName, onedrivePath, kvBasePath, files: { [remotePath]: state } }
+function createManifest(storage, manifestPath, data) {
+    const manifest = {
+        path: manifestPath,
+        data: { files: {}, ...data, version: MANIFEST_VERSION }
+    };
+    let lastSave = 0;
+    let saving = Promise.resolve();
+
+    const fileState = (remotePath) => manifest.data.files[remotePath] || (manifest.data.files[remotePath] = {});
+
+    // 保存失败不影响任务本身；串行写入，避免旧内容覆盖新内容
+    manifest.save = (force = false) => {
+        if (!force && Date.now() - lastSave < SAVE_INTERVAL) return saving;
+        lastSave = Date.now();
+        saving = saving.then(async () => {
+            manifest.data.updatedAt = new Date().toISOString();
+            try {
+                await storage.putFile(manifestPath, Buffer.from(JSON.stringify(manifest.data, null, 2)), 'replace');
+            } catch (e) {
+                console.error('Failed to save task manifest:', e.response ? 'HTTP ' + e.response.status : e.message);
+            }
+        });
+        return saving;
+    };
+
+    manifest.getFile = (remotePath) => manifest.data.files[remotePath] || null;
+
+    manifest.isUploaded = (remotePath) => manifest.getFile(remotePath)?.status === 'uploaded';
+
+    manifest.markUploaded = (remotePath, item, size) => {
+        Object.assign(fileState(remotePath), { status: 'uploaded', itemId: item?.id || '', size, session: null, offset: size });
+        return manifest.save(true);
+    };
+
+    manifest.markRemoved = (remotePath) => {
+        Object.assign(fileState(remotePath), { status: 'pending', itemId: '', session: null, offset: 0 });
+        return manifest.save(true);
+    };
+
+    // 会话信息随分片进度定期保存，新会话立即保存
+    manifest.setSession = (remotePath, session, offset, size) => {
+        const state = fileState(remotePath);
+        const isNew = !state.session;
+        Object.assign(state, { status: 'uploading', session, offset, size });
+        return manifest.save(isNew);
+    };
+
+    manifest.clearSession = (remotePath) => {
+        const state = manifest.getFile(remotePath);
+        if (state) Object.assign(state, { session: null, offset: 0 });
+    };
+
+    manifest.setStatus = (status) => {
+        manifest.data.status = status;
+        return manifest.save(true);
+    };
+
+    return manifest;
+}
+
+// 为存储适配器加上清单记录：打开会话时优先恢复清单中的会话，分片、完成、删除时更新清单
+function withCheckpoints(storage, manifest) {
+    const sessionPaths = new WeakMap();
+
+    return {
+        ...storage,
+
+        putFile: async (remotePath, buffer, conflictBehavior) => {
+            const item = await storage.putFile(remotePath, buffer, conflictBehavior);
+            await manifest.markUploaded(remotePath, item, buffer.length);
+            return item;
+        },
+
+        initSession: async (remotePath, totalSize, conflictBehavior) => {
+            const saved = manifest.getFile(remotePath);
+            let session;
+            if (saved?.session && saved.size === totalSize && storage.restoreSession) {
+                session = storage.restoreSession(saved.session);
+                session.resumed = true;
+                console.log('Resuming saved upload session for', remotePath);
+            } else {
+                session = await storage.initSession(remotePath, totalSize, conflictBehavior);
+            }
+            sessionPaths.set(session, remotePath);
+            return session;
+        },
+
+        putChunk: async (session, buffer, start) => {
+            await storage.putChunk(session, buffer, start);
+            const saved = storage.saveSession ? storage.saveSession(session) : null;
+            if (saved) manifest.setSession(sessionPaths.get(session), saved, start + buffer.length, session.totalSize);
+        },
+
+        finalize: async (session) => {
+            const item = await storage.finalize(session);
+            await manifest.markUploaded(sessionPaths.get(session), item, session.totalSize);
+            return item;
+        },
+
+        abort: async (session) => {
+            manifest.clearSession(sessionPaths.get(session));
+            await storage.abort(session);
+        },
+
+        removeItem: async (item) => {
+            await storage.removeItem(item);
+            const remotePath = Object.keys(manifest.data.files).find(p => manifest.data.files[p].itemId === item?.id);
+            if (remotePath) await manifest.markRemoved(remotePath);
+        }
+    };
+}
+
+module.exports = {
+    manifestPathFor,
+    loadManifest,
+    createManifest,
+    withCheckpoints
+};
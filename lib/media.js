@@ -0,0 +1,386 @@
+/**
+ * media.js - 媒体信息探测
+ *
+ * 优先用 ffprobe 读取时长、分辨率、音视频编码和字幕轨道；未安装 ffprobe 或探测失败时，
+ * 用内置解析器读取 MP4 / MOV（moov 盒）和 MKV / WebM（EBML 头部），只读容器头部，不解码数据。
+ * 编码名称统一为 ffprobe 的 codec_name（h264、hevc、aac、subrip 等）。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const PROBE_TIMEOUT = 60 * 1000;
+// moov 盒通常只有几 MB，超过上限不解析
+const MAX_HEADER_SIZE = 64 * 1024 * 1024;
+
+const MIME_TYPES = {
+    '.mkv': 'video/x-matroska', '.mka': 'audio/x-matroska', '.webm': 'video/webm',
+    '.mp4': 'video/mp4', '.m4v': 'video/x-m4v', '.mov': 'video/quicktime', '.m4a': 'audio/mp4',
+    '.avi': 'video/x-msvideo', '.wmv': 'video/x-ms-wmv', '.flv': 'video/x-flv',
+    '.ts': 'video/mp2t', '.m2ts': 'video/mp2t', '.mpg': 'video/mpeg', '.mpeg': 'video/mpeg',
+    '.mp3': 'audio/mpeg', '.flac': 'audio/flac', '.ogg': 'audio/ogg', '.opus': 'audio/opus',
+    '.wav': 'audio/wav', '.aac': 'audio/aac',
+    '.srt': 'application/x-subrip', '.ass': 'text/x-ssa', '.ssa': 'text/x-ssa', '.vtt': 'text/vtt',
+    '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.gif': 'image/gif', '.webp': 'image/webp',
+    '.txt': 'text/plain', '.nfo': 'text/plain', '.pdf': 'application/pdf',
+    '.zip': 'application/zip', '.rar': 'application/vnd.rar', '.7z': 'application/x-7z-compressed'
+};
+
+// Matroska CodecID / MP4 sample entry → ffprobe codec_name
+const MKV_CODECS = {
+    'V_MPEG4/ISO/AVC': 'h264', 'V_MPEGH/ISO/HEVC': 'hevc', 'V_AV1': 'av1', 'V_VP8': 'vp8', 'V_VP9': 'vp9',
+    'V_MPEG2': 'mpeg2video', 'V_MPEG4/ISO/ASP': 'mpeg4',
+    'A_AAC': 'aac', 'A_AC3': 'ac3', 'A_EAC3': 'eac3', 'A_DTS': 'dts', 'A_OPUS': 'opus', 'A_VORBIS': 'vorbis',
+    'A_FLAC': 'flac', 'A_MPEG/L3': 'mp3', 'A_TRUEHD': 'truehd',
+    'S_TEXT/UTF8': 'subrip', 'S_TEXT/ASS': 'ass', 'S_TEXT/SSA': 'ssa', 'S_TEXT/WEBVTT': 'webvtt',
+    'S_HDMV/PGS': 'hdmv_pgs_subtitle', 'S_VOBSUB': 'dvd_subtitle'
+};
+const MP4_CODECS = {
+    avc1: 'h264', avc3: 'h264', hvc1: 'hevc', hev1: 'hevc', av01: 'av1', vp09: 'vp9', mp4v: 'mpeg4',
+    mp4a: 'aac', 'ac-3': 'ac3', 'ec-3': 'eac3', Opus: 'opus', fLaC: 'flac', '.mp3': 'mp3',
+    tx3g: 'mov_text', wvtt: 'webvtt'
+};
+
+// options.probe_media（或环境变量 PROBE_MEDIA）开启，未开启返回 null；ffprobe 不可用时置为 null
+function parseProbeOptions(options = {}, env = {}) {
+    const enabled = options.probe_media ?? env.PROBE_MEDIA;
+    if (enabled !== true && enabled !== 'true') return null;
+    return { ffprobe: env.FFPROBE_PATH || 'ffprobe' };
+}
+
+function mimeTypeFor(fileName) {
+    return MIME_TYPES[path.extname(fileName).toLowerCase()] || 'application/octet-stream';
+}
+
+function isMediaFile(fileName) {
+    return /^(video|audio)\//.test(mimeTypeFor(fileName));
+}
+
+// 返回 { duration, width, height, videoCodec, audio, subtitles }，非音视频文件或无法识别时返回 null
+async function probeMedia(filePath, probing) {
+    if (!isMediaFile(filePath)) return null;
+    if (probing.ffprobe) {
+        try {
+            return await runFfprobe(probing.ffprobe, filePath);
+        } catch (e) {
+            if (e.code === 'ENOENT') {
+                console.log('ffprobe not found, using built-in MP4/MKV parser');
+                probing.ffprobe = null;
+            } else {
+                console.error('ffprobe failed for', path.basename(filePath) + ':', e.message);
+            }
+        }
+    }
+    try {
+        return await parseContainer(filePath);
+    } catch (e) {
+        console.error('Cannot read media header of', path.basename(filePath) + ':', e.message);
+        return null;
+    }
+}
+
+function runFfprobe(command, filePath) {
+    return new Promise((resolve, reject) => {
+        const proc = spawn(command, ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', filePath], { stdio: ['ignore', 'pipe', 'pipe'] });
+        let stdout = '';
+        let stderr = '';
+        const timer = setTimeout(() => proc.kill('SIGKILL'), PROBE_TIMEOUT);
+        proc.stdout.on('data', (data) => { stdout += data; });
+        proc.stderr.on('data', (data) => { stderr += data; });
+        proc.on('error', (err) => { clearTimeout(timer); reject(err); });
+        proc.on('close', (code) => {
+            clearTimeout(timer);
+            if (code !== 0) return reject(new Error('ffprobe exited with code ' + code + (stderr.trim() ? ': ' + stderr.trim().split('\n').pop() : '')));
+            try {
+                resolve(fromFfprobe(JSON.parse(stdout)));
+            } catch (e) {
+                reject(new Error('Invalid ffprobe output: ' + e.message));
+            }
+        });
+    });
+}
+
+function fromFfprobe({ format = {}, streams = [] }) {
+    // 封面图也是 video 流，跳过
+    const video = streams.find(s => s.codec_type === 'video' && !s.disposition?.attached_pic);
+    return mediaInfo({
+        duration: parseFloat(format.duration) || null,
+        width: video?.width,
+        height: video?.height,
+        videoCodec: video?.codec_name,
+        audio: streams.filter(s => s.codec_type === 'audio').map(s => ({ codec: s.codec_name, language: s.tags?.language, channels: s.channels })),
+        subtitles: streams.filter(s => s.codec_type === 'subtitle').map(s => ({ codec: s.codec_name, language: s.tags?.language, title: s.tags?.title }))
+    });
+}
+
+// 统一字段和缺省值
+function mediaInfo({ duration, width, height, videoCodec, audio = [], subtitles = [] }) {
+    return {
+        duration: duration ? Math.round(duration * 1000) / 1000 : null,   // 秒
+        width: width || null,
+        height: height || null,
+        videoCodec: videoCodec || null,
+        audio: audio.map(a => ({ codec: a.codec || null, language: a.language || '', channels: a.channels || null })),
+        subtitles: subtitles.map(s => ({ codec: s.codec || null, language: s.language || '', title: s.title || '' }))
+    };
+}
+
+async function parseContainer(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const size = (await handle.stat()).size;
+        const magic = await readAt(handle, 0, 12);
+        if (magic.length < 12) return null;
+        if (magic.readUInt32BE(0) === 0x1A45DFA3) return await parseMatroska(handle, size);
+        if (magic.toString('latin1', 4, 8) === 'ftyp') return await parseMp4(handle, size);
+        return null;
+    } finally {
+        await handle.close();
+    }
+}
+
+async function readAt(handle, position, length) {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+}
+
+// ---- MP4 / MOV ----
+
+async function parseMp4(handle, fileSize) {
+    // 顶层盒逐个跳过，moov 可能在文件末尾
+    let offset = 0;
+    while (offset + 8 <= fileSize) {
+        const header = await readAt(handle, offset, 16);
+        let size = header.readUInt32BE(0);
+        const type = header.toString('latin1', 4, 8);
+        let headerSize = 8;
+        if (size === 1) {
+            size = Number(header.readBigUInt64BE(8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = fileSize - offset;
+        }
+        if (size < headerSize) return null;
+        if (type === 'moov') {
+            if (size > MAX_HEADER_SIZE) return null;
+            const moov = await readAt(handle, offset + headerSize, size - headerSize);
+            return parseMoov(moov);
+        }
+        offset += size;
+    }
+    return null;
+}
+
+// 遍历 buf[start, end) 中的盒，返回 [{ type, start, end }]（start 为内容起点）
+function mp4Boxes(buf, start = 0, end = buf.length) {
+    const boxes = [];
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = buf.readUInt32BE(offset);
+        let headerSize = 8;
+        if (size === 1 && offset + 16 <= end) {
+            size = Number(buf.readBigUInt64BE(offset + 8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < headerSize || offset + size > end) break;
+        boxes.push({ type: buf.toString('latin1', offset + 4, offset + 8), start: offset + headerSize, end: offset + size });
+        offset += size;
+    }
+    return boxes;
+}
+
+function findBox(buf, parent, ...types) {
+    let box = parent;
+    for (const type of types) {
+        box = mp4Boxes(buf, box.start, box.end).find(b => b.type === type);
+        if (!box) return null;
+    }
+    return box;
+}
+
+function parseMoov(moov) {
+    const root = { start: 0, end: moov.length };
+    let duration = null;
+    const mvhd = findBox(moov, root, 'mvhd');
+    if (mvhd) {
+        const v1 = moov[mvhd.start] === 1;
+        const timescale = moov.readUInt32BE(mvhd.start + (v1 ? 20 : 12));
+        const length = v1 ? Number(moov.readBigUInt64BE(mvhd.start + 24)) : moov.readUInt32BE(mvhd.start + 16);
+        if (timescale) duration = length / timescale;
+    }
+
+    const info = { duration, audio: [], subtitles: [] };
+    for (const trak of mp4Boxes(moov).filter(b => b.type === 'trak')) {
+        const hdlr = findBox(moov, trak, 'mdia', 'hdlr');
+        const mdhd = findBox(moov, trak, 'mdia', 'mdhd');
+        const stsd = findBox(moov, trak, 'mdia', 'minf', 'stbl', 'stsd');
+        if (!hdlr || !stsd) continue;
+        const handler = moov.toString('latin1', hdlr.start + 8, hdlr.start + 12);
+        // stsd：版本与标志 4 字节、条目数 4 字节，之后是第一个样本描述盒
+        const entry = mp4Boxes(moov, stsd.start + 8, stsd.end)[0];
+        if (!entry) continue;
+        const codec = MP4_CODECS[entry.type] || entry.type.trim();
+        const language = mdhd ? mp4Language(moov, mdhd) : '';
+
+        if (handler === 'vide' && !info.videoCodec) {
+            // VisualSampleEntry：8 字节 SampleEntry 头、16 字节保留，之后是宽高
+            info.videoCodec = codec;
+            info.width = moov.readUInt16BE(entry.start + 24);
+            info.height = moov.readUInt16BE(entry.start + 26);
+        } else if (handler === 'soun') {
+            info.audio.push({ codec, language, channels: moov.readUInt16BE(entry.start + 16) });
+        } else if (handler === 'subt' || handler === 'sbtl' || handler === 'text') {
+            info.subtitles.push({ codec, language });
+        }
+    }
+    return mediaInfo(info);
+}
+
+// mdhd 中的 ISO 639-2 语言代码：3 个 5 位字符
+function mp4Language(buf, mdhd) {
+    const offset = mdhd.start + (buf[mdhd.start] === 1 ? 32 : 20);
+    const packed = buf.readUInt16BE(offset);
+    const code = [10, 5, 0].map(shift => String.fromCharCode(((packed >> shift) & 0x1f) + 0x60)).join('');
+    return /^[a-z]{3}$/.test(code) && code !== 'und' ? code : '';
+}
+
+// ---- Matroska / WebM ----
+
+const EBML = {
+    SEGMENT: 0x18538067, INFO: 0x1549A966, TRACKS: 0x1654AE6B, CLUSTER: 0x1F43B675,
+    TIMECODE_SCALE: 0x2AD7B1, DURATION: 0x4489,
+    TRACK_ENTRY: 0xAE, TRACK_TYPE: 0x83, CODEC_ID: 0x86, LANGUAGE: 0x22B59C, LANGUAGE_BCP47: 0x22B59D, NAME: 0x536E,
+    VIDEO: 0xE0, PIXEL_WIDTH: 0xB0, PIXEL_HEIGHT: 0xBA, AUDIO: 0xE1, CHANNELS: 0x9F
+};
+
+// 读取 EBML 可变长整数；id 保留长度标记位，size 去掉标记位，全 1 表示未知大小（返回 -1）
+function readVint(buf, offset, keepMarker) {
+    const first = buf[offset];
+    if (first === undefined || first === 0) return null;
+    const length = 8 - Math.floor(Math.log2(first));
+    if (offset + length > buf.length) return null;
+    let value = keepMarker ? first : first & (0xff >> length);
+    let allOnes = value === (0xff >> length);
+    for (let i = 1; i < length; i++) {
+        value = value * 256 + buf[offset + i];
+        if (buf[offset + i] !== 0xff) allOnes = false;
+    }
+    return { value: !keepMarker && allOnes ? -1 : value, length };
+}
+
+function readElementHeader(buf, offset) {
+    const id = readVint(buf, offset, true);
+    if (!id) return null;
+    const size = readVint(buf, offset + id.length, false);
+    if (!size) return null;
+    return { id: id.value, size: size.value, headerSize: id.length + size.length };
+}
+
+function ebmlElements(buf, start = 0, end = buf.length) {
+    const elements = [];
+    let offset = start;
+    while (offset < end) {
+        const header = readElementHeader(buf, offset);
+        if (!header || header.size < 0) break;
+        const dataStart = offset + header.headerSize;
+        elements.push({ id: header.id, start: dataStart, end: Math.min(dataStart + header.size, end) });
+        offset = dataStart + header.size;
+    }
+    return elements;
+}
+
+function ebmlUint(buf, el) {
+    let value = 0;
+    for (let i = el.start; i < el.end; i++) value = value * 256 + buf[i];
+    return value;
+}
+
+function ebmlFloat(buf, el) {
+    if (el.end - el.start === 4) return buf.readFloatBE(el.start);
+    if (el.end - el.start === 8) return buf.readDoubleBE(el.start);
+    return 0;
+}
+
+function ebmlString(buf, el) {
+    return buf.toString('utf8', el.start, el.end).replace(/\0+$/, '');
+}
+
+async function parseMatroska(handle, fileSize) {
+    // 跳过 EBML 头，找到 Segment
+    let offset = 0;
+    let segmentEnd = fileSize;
+    for (;;) {
+        const header = readElementHeader(await readAt(handle, offset, 12), 0);
+        if (!header) return null;
+        if (header.id === EBML.SEGMENT) {
+            offset += header.headerSize;
+            if (header.size >= 0) segmentEnd = Math.min(fileSize, offset + header.size);
+            break;
+        }
+        if (header.size < 0) return null;
+        offset += header.headerSize + header.size;
+    }
+
+    // 在 Segment 中依次读取 Info 和 Tracks，遇到第一个 Cluster 即停止
+    const sections = {};
+    while (offset < segmentEnd && !(sections.info && sections.tracks)) {
+        const header = readElementHeader(await readAt(handle, offset, 12), 0);
+        if (!header || header.size < 0 || header.id === EBML.CLUSTER) break;
+        const dataStart = offset + header.headerSize;
+        if ((header.id === EBML.INFO || header.id === EBML.TRACKS) && header.size <= MAX_HEADER_SIZE) {
+            sections[header.id === EBML.INFO ? 'info' : 'tracks'] = await readAt(handle, dataStart, header.size);
+        }
+        offset = dataStart + header.size;
+    }
+    if (!sections.tracks) return null;
+
+    const info = { audio: [], subtitles: [] };
+    if (sections.info) {
+        const elements = ebmlElements(sections.info);
+        const scale = elements.find(e => e.id === EBML.TIMECODE_SCALE);
+        const duration = elements.find(e => e.id === EBML.DURATION);
+        // Duration 以 TimecodeScale（默认 1ms）为单位
+        if (duration) info.duration = ebmlFloat(sections.info, duration) * (scale ? ebmlUint(sections.info, scale) : 1000000) / 1e9;
+    }
+
+    const buf = sections.tracks;
+    for (const track of ebmlElements(buf).filter(e => e.id === EBML.TRACK_ENTRY)) {
+        const fields = ebmlElements(buf, track.start, track.end);
+        const field = (id) => fields.find(e => e.id === id);
+        const type = field(EBML.TRACK_TYPE) ? ebmlUint(buf, field(EBML.TRACK_TYPE)) : 0;
+        const codecId = field(EBML.CODEC_ID) ? ebmlString(buf, field(EBML.CODEC_ID)) : '';
+        const codec = MKV_CODECS[codecId] || MKV_CODECS[codecId.split('/')[0]] || codecId;
+        const languageField = field(EBML.LANGUAGE_BCP47) || field(EBML.LANGUAGE);
+        // Language 缺省为 eng
+        const language = languageField ? ebmlString(buf, languageField) : 'eng';
+        const name = field(EBML.NAME) ? ebmlString(buf, field(EBML.NAME)) : '';
+
+        if (type === 1 && !info.videoCodec) {
+            const video = field(EBML.VIDEO);
+            const videoFields = video ? ebmlElements(buf, video.start, video.end) : [];
+            const width = videoFields.find(e => e.id === EBML.PIXEL_WIDTH);
+            const height = videoFields.find(e => e.id === EBML.PIXEL_HEIGHT);
+            info.videoCodec = codec;
+            info.width = width ? ebmlUint(buf, width) : null;
+            info.height = height ? ebmlUint(buf, height) : null;
+        } else if (type === 2) {
+            const audio = field(EBML.AUDIO);
+            const channels = audio ? ebmlElements(buf, audio.start, audio.end).find(e => e.id === EBML.CHANNELS) : null;
+            info.audio.push({ codec, language: language === 'und' ? '' : language, channels: channels ? ebmlUint(buf, channels) : 1 });
+        } else if (type === 17) {
+            info.subtitles.push({ codec, language: language === 'und' ? '' : language, title: name });
+        }
+    }
+    return mediaInfo(info);
+}
+
+module.exports = {
+    parseProbeOptions,
+    mimeTypeFor,
+    isMediaFile,
+    probeMedia
+};
@@ -0,0 +1,69 @@
+/**
+ * paths.js - 上传路径规范化
+ *
+ * 按 OneDrive 的命名规则清理每一段路径：替换非法字符 " * : < > ? \ | 和控制字符，
+ * 去掉首尾空格与结尾的点，避开保留名称（CON、PRN、AUX、NUL、COM0-9、LPT0-9、.lock、
+ * desktop.ini、_vti_、~$ 开头），单段不超过 255 个字符，完整路径不超过 400 个字符。
+ * 截断时附加原名的短哈希，不同的原名不会截断成同一个名字。
+ */
+
+const crypto = require('crypto');
+
+const MAX_SEGMENT_LENGTH = 255;
+const MAX_PATH_LENGTH = 400;
+// 路径过长时各段最多截断到该长度
+const MIN_SEGMENT_LENGTH = 32;
+
+const INVALID_CHARS = /["*:<>?\\|\x00-\x1f]/g;
+const RESERVED_NAMES = /^(con|prn|aux|nul|com\d|lpt\d|desktop\.ini|\.lock)$/i;
+
+function sanitizeSegment(segment) {
+    let name = segment.replace(INVALID_CHARS, '_').replace(/^\s+/, '').replace(/[\s.]+$/, '');
+    name = name.replace(/_vti_/gi, '_vti-');
+    if (name.startsWith('~$')) name = '_' + name;
+    // CON、CON.txt 都不允许：在扩展名前加 _
+    const dot = name.indexOf('.', 1);
+    const base = dot > 0 ? name.slice(0, dot) : name;
+    if (RESERVED_NAMES.test(name) || RESERVED_NAMES.test(base)) {
+        name = name.startsWith('.') ? '_' + name : base + '_' + name.slice(base.length);
+    }
+    if (!name) name = '_';
+    return name.length > MAX_SEGMENT_LENGTH ? truncateSegment(name, MAX_SEGMENT_LENGTH, segment) : name;
+}
+
+// 保留扩展名截断到 maxLength：name~hash.ext
+function truncateSegment(name, maxLength, original) {
+    const hash = '~' + crypto.createHash('sha1').update(original).digest('hex').slice(0, 8);
+    const dot = name.lastIndexOf('.');
+    const ext = dot > 0 && name.length - dot <= 16 ? name.slice(dot) : '';
+    const base = name.slice(0, name.length - ext.length);
+    return base.slice(0, Math.max(1, maxLength - hash.length - ext.length)).replace(/[\s.]+$/, '') + hash + ext;
+}
+
+// 规范化 a/b/c 形式的路径（去掉空段），路径过长时从最长的段开始截断
+function sanitizePath(remotePath) {
+    const originals = String(remotePath).split('/').filter(s => s);
+    const segments = originals.map(sanitizeSegment);
+    let length = segments.join('/').length;
+    while (length > MAX_PATH_LENGTH) {
+        let longest = 0;
+        segments.forEach((s, i) => { if (s.length > segments[longest].length) longest = i; });
+        if (segments[longest].length <= MIN_SEGMENT_LENGTH) break;
+        const target = Math.max(MIN_SEGMENT_LENGTH, segments[longest].length - (length - MAX_PATH_LENGTH));
+        segments[longest] = truncateSegment(segments[longest], target, originals[longest]);
+        length = segments.join('/').length;
+    }
+    return segments.join('/');
+}
+
+// Graph URL 中的路径：逐段百分号编码（# % ? 等字符在 OneDrive 中合法，但在 URL 中有特殊含义）
+function encodePath(remotePath) {
+    return remotePath.split('/').map(encodeURIComponent).join('/');
+}
+
+module.exports = {
+    MAX_PATH_LENGTH,
+    sanitizeSegment,
+    sanitizePath,
+    encodePath
+};
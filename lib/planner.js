@@ -0,0 +1,89 @@
+/**
+ * planner.js - 根据可用磁盘空间选择下载策略
+ *
+ * - 全部内容放得下：普通模式（全部下载后上传）
+ * - 单文件放不下：流式模式（边下边传）
+ * - 多文件放不下：顺序模式，按可用空间把文件分批下载上传，
+ *   单个文件超过可用空间时该文件单独流式上传
+ * 也可通过 download_mode 指定模式，跳过自动选择
+ */
+
+const fs = require('fs');
+
+// 预留空间：aria2 控制文件、边界分片写出的未选中文件片段、日志等
+const DISK_RESERVE = 1024 * 1024 * 1024;
+const DOWNLOAD_MODES = ['auto', 'normal', 'streaming', 'sequential'];
+
+// 目录所在文件系统的可用字节数（非 root 用户可用部分）
+function getFreeSpace(dir) {
+    const stats = fs.statfsSync(dir);
+    return stats.bavail * stats.bsize;
+}
+
+// fileList 为 fetchMetadata（筛选后）的文件列表，单文件或直链时可能为空；
+// maxUsage 为任务选项 max_disk_usage，限制本任务最多占用的磁盘空间；
+// mode 为 normal / streaming / sequential 时使用指定模式（顺序模式需要文件列表，否则仍自动选择）
+function planStrategy(totalSize, fileList, freeSpace, reserve = DISK_RESERVE, maxUsage = 0, mode = 'auto') {
+    const budget = Math.max(0, Math.min(freeSpace - reserve, maxUsage > 0 ? maxUsage : Infinity));
+    const largestFile = fileList.reduce((max, f) => Math.max(max, f.size), 0) || totalSize;
+    const plan = { mode: 'normal', freeSpace, budget, totalSize, largestFile, batches: [], reason: '' };
+
+    if (mode === 'normal' || mode === 'streaming' || (mode === 'sequential' && fileList.length > 0)) {
+        plan.mode = mode;
+        plan.reason = 'mode requested';
+        if (mode === 'sequential') plan.batches = packBatches(fileList, budget);
+        return plan;
+    }
+    if (totalSize <= budget) {
+        plan.reason = 'fits in free space';
+        return plan;
+    }
+    if (fileList.length <= 1) {
+        plan.mode = 'streaming';
+        plan.reason = 'single file larger than free space';
+        return plan;
+    }
+
+    plan.mode = 'sequential';
+    plan.reason = largestFile > budget ? 'some files larger than free space' : 'total size larger than free space';
+    plan.batches = packBatches(fileList, budget);
+    return plan;
+}
+
+// 按种子内顺序装箱，保持下载顺序与目录结构一致；超过 budget 的文件单独一批流式上传
+function packBatches(fileList, budget) {
+    const batches = [];
+    let current = null;
+    for (const file of fileList) {
+        if (file.size > budget) {
+            batches.push({ files: [file], size: file.size, stream: true });
+            current = null;
+            continue;
+        }
+        if (!current || current.size + file.size > budget) {
+            current = { files: [], size: 0, stream: false };
+            batches.push(current);
+        }
+        current.files.push(file);
+        current.size += file.size;
+    }
+    return batches;
+}
+
+function describePlan(plan) {
+    const gb = (bytes) => (bytes / 1024 / 1024 / 1024).toFixed(2) + 'GB';
+    let text = plan.mode + ' (' + plan.reason + '; size ' + gb(plan.totalSize) + ', largest ' + gb(plan.largestFile) + ', free ' + gb(plan.freeSpace) + ')';
+    if (plan.mode === 'sequential') {
+        const streamed = plan.batches.filter(b => b.stream).length;
+        text += ', ' + plan.batches.length + ' batches' + (streamed ? ' (' + streamed + ' streamed)' : '');
+    }
+    return text;
+}
+
+module.exports = {
+    DISK_RESERVE,
+    DOWNLOAD_MODES,
+    getFreeSpace,
+    planStrategy,
+    describePlan
+};
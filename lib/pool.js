@@ -0,0 +1,113 @@
+/**
+ * pool.js - 并发上传工具
+ *
+ * runPool：有上限的并发执行；createWorkQueue：下载过程中逐个加入的上传队列；
+ * createThroughputMeter：滑动窗口内的上传速率。
+ */
+
+// 以最多 concurrency 个并发依次处理 items；任一项失败后不再启动新任务，等进行中的结束后抛出第一个错误
+async function runPool(items, concurrency, worker) {
+    let next = 0;
+    let firstError = null;
+
+    const run = async () => {
+        while (!firstError && next < items.length) {
+            const index = next++;
+            try {
+                await worker(items[index], index);
+            } catch (e) {
+                if (!firstError) firstError = e;
+            }
+        }
+    };
+
+    const workers = [];
+    for (let i = 0; i < Math.max(1, Math.min(concurrency, items.length)); i++) workers.push(run());
+    await Promise.all(workers);
+    if (firstError) throw firstError;
+}
+
+// 边生产边消费的任务队列：push 随时加入任务，close 表示不再加入，drain 等待全部完成；
+// 任一任务失败（或调用 fail）后不再启动新任务，drain 在进行中的任务结束后抛出第一个错误
+function createWorkQueue(concurrency, worker) {
+    const pending = [];
+    let active = 0;
+    let closed = false;
+    let firstError = null;
+    let settle;
+    const drained = new Promise((resolve, reject) => {
+        settle = () => {
+            if (active > 0) return;
+            if (firstError) reject(firstError);
+            else if (closed && pending.length === 0) resolve();
+        };
+    });
+    drained.catch(() => {}); // 由调用方 await drain() 处理
+
+    const launch = () => {
+        while (!firstError && active < concurrency && pending.length > 0) {
+            const item = pending.shift();
+            active++;
+            Promise.resolve()
+                .then(() => worker(item))
+                .catch((e) => { if (!firstError) firstError = e; })
+                .finally(() => {
+                    active--;
+                    launch();
+                    settle();
+                });
+        }
+    };
+
+    return {
+        push(item) {
+            if (closed) throw new Error('Work queue is closed');
+            pending.push(item);
+            launch();
+        },
+        close() {
+            closed = true;
+            settle();
+        },
+        fail(err) {
+            if (!firstError) firstError = err;
+            settle();
+        },
+        drain: () => drained,
+        size: () => pending.length + active
+    };
+}
+
+const METER_WINDOW = 30000;
+
+// 记录每次成功上传的字节数，rate() 为最近 30 秒的平均速率（字节/秒）
+function createThroughputMeter() {
+    const startTime = Date.now();
+    const samples = [];
+    let total = 0;
+
+    return {
+        add(bytes) {
+            total += bytes;
+            samples.push({ time: Date.now(), bytes });
+        },
+        total: () => total,
+        rate() {
+            const now = Date.now();
+            while (samples.length > 0 && now - samples[0].time > METER_WINDOW) samples.shift();
+            const windowBytes = samples.reduce((sum, s) => sum + s.bytes, 0);
+            const elapsed = Math.min(METER_WINDOW, now - startTime);
+            return elapsed > 0 ? Math.round(windowBytes / (elapsed / 1000)) : 0;
+        },
+        average() {
+            const elapsed = Date.now() - startTime;
+            return elapsed > 0 ? Math.round(total / (elapsed / 1000)) : 0;
+        }
+    };
+}
+
+module.exports = {
+    runPool,
+    createWorkQueue,
+    createThroughputMeter
+};
@@ -0,0 +1,57 @@
+/**
+ * quickxorhash.js - OneDrive QuickXorHash
+ *
+ * 160 位循环寄存器：第 i 个字节左移 i * 11 位后异或进寄存器，
+ * 最后把 64 位小端序总长度异或进末尾 8 个字节，结果为 base64。
+ * 与 driveItem.file.hashes.quickXorHash 对应，可分段 update。
+ */
+
+const WIDTH_IN_BITS = 160;
+const SHIFT = 11;
+
+function createQuickXorHash() {
+    const state = new Uint8Array(WIDTH_IN_BITS / 8);
+    let shiftSoFar = 0;
+    let length = 0;
+
+    // 在 bitPos 处异或一个字节（可能跨越两个字节，末尾回绕到开头）
+    const xorAt = (bitPos, value) => {
+        const index = bitPos >> 3;
+        const shifted = value << (bitPos & 7);
+        state[index] ^= shifted & 0xff;
+        state[(index + 1) % state.length] ^= shifted >> 8;
+    };
+
+    return {
+        update(buffer) {
+            const size = buffer.length;
+            // 相隔 160 字节的位置移位相同，先合并再异或进寄存器
+            const iterations = Math.min(size, WIDTH_IN_BITS);
+            for (let i = 0; i < iterations; i++) {
+                let value = 0;
+                for (let j = i; j < size; j += WIDTH_IN_BITS) value ^= buffer[j];
+                if (value) xorAt((shiftSoFar + i * SHIFT) % WIDTH_IN_BITS, value);
+            }
+            shiftSoFar = (shiftSoFar + SHIFT * (size % WIDTH_IN_BITS)) % WIDTH_IN_BITS;
+            length += size;
+            return this;
+        },
+
+        digest() {
+            const result = Buffer.from(state);
+            const lengthBytes = Buffer.alloc(8);
+            lengthBytes.writeBigUInt64LE(BigInt(length));
+            for (let i = 0; i < 8; i++) result[result.length - 8 + i] ^= lengthBytes[i];
+            return result.toString('base64');
+        }
+    };
+}
+
+function quickXorHash(buffer) {
+    return createQuickXorHash().update(buffer).digest();
+}
+
+module.exports = {
+    createQuickXorHash,
+    quickXorHash
+};
@@ -0,0 +1,121 @@
+/**
+ * source.js - 任务来源识别
+ *
+ * 支持磁力链接、裸 info-hash（40 位十六进制 / 32 位 base32）、
+ * .torrent（base64 内容或 URL）以及 HTTP(S)/FTP 直链。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const MAX_TORRENT_SIZE = 50 * 1024 * 1024;
+
+// 返回 { type: 'magnet' | 'torrent' | 'http', uri, torrentFile? }
+async function resolveSource(input, downloadDir) {
+    const value = (input || '').trim();
+    if (!value) throw new Error('No task source provided');
+
+    if (/^magnet:/i.test(value)) return { type: 'magnet', uri: value };
+    if (/^[0-9a-f]{40}$/i.test(value) || /^[a-z2-7]{32}$/i.test(value)) {
+        return { type: 'magnet', uri: 'magnet:?xt=urn:btih:' + value };
+    }
+
+    if (/^(https?|ftp):\/\//i.test(value)) {
+        if (await isTorrentUrl(value)) {
+            const response = await axios.get(value, { responseType: 'arraybuffer', timeout: 60000, maxContentLength: MAX_TORRENT_SIZE });
+            const torrent = Buffer.from(response.data);
+            if (!isTorrentData(torrent)) throw new Error('Invalid torrent file: ' + value);
+            return { type: 'torrent', uri: value, torrentFile: saveTorrent(torrent, downloadDir) };
+        }
+        return { type: 'http', uri: value };
+    }
+
+    const torrent = decodeTorrentBase64(value);
+    if (torrent) return { type: 'torrent', uri: '', torrentFile: saveTorrent(torrent, downloadDir) };
+
+    throw new Error('Unrecognized task source');
+}
+
+// 路径以 .torrent 结尾，或服务器返回 application/x-bittorrent
+async function isTorrentUrl(url) {
+    if (/\.torrent$/i.test(new URL(url).pathname)) return true;
+    if (!/^https?:/i.test(url)) return false;
+    try {
+        const response = await axios.head(url, { timeout: 30000, maxRedirects: 10 });
+        return /bittorrent/i.test(response.headers['content-type'] || '');
+    } catch (e) {
+        return false;
+    }
+}
+
+// 支持纯 base64 和 data:application/x-bittorrent;base64,... 两种形式
+function decodeTorrentBase64(value) {
+    const data = value.replace(/^data:[^,]*;base64,/i, '').replace(/\s+/g, '');
+    if (!/^[A-Za-z0-9+/_-]+={0,2}$/.test(data)) return null;
+    const buffer = Buffer.from(data, 'base64');
+    return isTorrentData(buffer) ? buffer : null;
+}
+
+// bencode 字典且包含 info 字段
+function isTorrentData(buffer) {
+    return buffer.length > 0 && buffer[0] === 0x64 && buffer.includes('4:info');
+}
+
+function saveTorrent(buffer, downloadDir) {
+    const torrentFile = path.join(downloadDir, 'source.torrent');
+    fs.writeFileSync(torrentFile, buffer);
+    return torrentFile;
+}
+
+// 直链元数据：文件名与大小（HEAD 不可用时用 Range: bytes=0-0 探测）
+async function fetchHttpMetadata(url) {
+    const fileName = fileNameFromUrl(url) || 'download';
+    if (!/^https?:/i.test(url)) return { fileName, totalSize: 0, fileCount: 1, fileList: [], acceptRanges: false };
+
+    let headers;
+    try {
+        headers = (await axios.head(url, { timeout: 30000, maxRedirects: 10 })).headers;
+    } catch (e) {
+        const response = await axios.get(url, { headers: { Range: 'bytes=0-0' }, responseType: 'stream', timeout: 30000, maxRedirects: 10 });
+        response.data.destroy();
+        headers = response.headers;
+    }
+    const range = (headers['content-range'] || '').match(/\/(\d+)$/);
+    return {
+        fileName: fileNameFromDisposition(headers['content-disposition']) || fileName,
+        totalSize: range ? parseInt(range[1]) : (parseInt(headers['content-length']) || 0),
+        fileCount: 1,
+        fileList: [],
+        acceptRanges: !!range || headers['accept-ranges'] === 'bytes'
+    };
+}
+
+function fileNameFromDisposition(disposition) {
+    if (!disposition) return '';
+    const extended = disposition.match(/filename\*\s*=\s*(?:UTF-8|utf-8)''([^;]+)/);
+    if (extended) return safeDecode(extended[1].trim());
+    const plain = disposition.match(/filename\s*=\s*"?([^";]+)"?/);
+    return plain ? plain[1].trim() : '';
+}
+
+function fileNameFromUrl(url) {
+    try {
+        return safeDecode(path.posix.basename(new URL(url).pathname));
+    } catch (e) {
+        return '';
+    }
+}
+
+function safeDecode(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (e) {
+        return value;
+    }
+}
+
+module.exports = {
+    resolveSource,
+    fetchHttpMetadata
+};
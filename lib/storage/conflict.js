@@ -0,0 +1,43 @@
+/**
+ * conflict.js - 同名文件处理
+ *
+ * OneDrive 原生支持 conflictBehavior；S3 / WebDAV 没有对应机制，
+ * 上传前用 exists 检查目标路径，按相同规则确定实际写入的路径。
+ */
+
+const path = require('path');
+
+const CONFLICT_BEHAVIORS = ['rename', 'replace', 'fail', 'skip'];
+
+function parseConflictBehavior(value) {
+    const behavior = String(value || 'rename').trim().toLowerCase();
+    if (!CONFLICT_BEHAVIORS.includes(behavior)) throw new Error('Invalid conflict behavior: ' + value);
+    return behavior;
+}
+
+// 目标已存在时的错误（conflictBehavior = fail）
+function conflictError(remotePath) {
+    const err = new Error('File already exists: ' + remotePath);
+    err.code = 'EEXIST';
+    return err;
+}
+
+// rename：file.mkv -> file 1.mkv、file 2.mkv ...（与 OneDrive 的命名方式一致）
+async function resolveConflictPath(exists, remotePath, behavior) {
+    if (behavior === 'replace' || !await exists(remotePath)) return remotePath;
+    if (behavior === 'fail') throw conflictError(remotePath);
+
+    const ext = path.posix.extname(remotePath);
+    const base = ext ? remotePath.slice(0, -ext.length) : remotePath;
+    for (let i = 1; ; i++) {
+        const candidate = base + ' ' + i + ext;
+        if (!await exists(candidate)) return candidate;
+    }
+}
+
+module.exports = {
+    CONFLICT_BEHAVIORS,
+    parseConflictBehavior,
+    conflictError,
+    resolveConflictPath
+};
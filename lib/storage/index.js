@@ -0,0 +1,80 @@
+/**
+ * storage - 上传目标适配器
+ *
+ * 每个适配器提供相同的接口，上传流程（分片、重试、续传）与具体存储无关：
+ *   init()                            认证 / 预检
+ *   putFile(remotePath, buffer, conflictBehavior)     小文件一次上传，返回 { id, path, ... }（path 为实际写入的路径，rename 时与请求的不同）
+ *   initSession(remotePath, size, conflictBehavior)   开始分片上传，返回会话对象
+ *   putChunk(session, buffer, start)  上传一个分片
+ *   getOffset(session)                存储端已确认的字节数，会话失效返回 null
+ *   finalize(session)                 完成上传，返回 { id, path, ... }
+ *   abort(session)                    放弃上传
+ *   saveSession(session) / restoreSession(saved)  会话与可保存的 JSON 互转（不支持续传时返回 null）
+ *   getFile(remotePath)               读取小文件内容，不存在返回 null
+ *   exists(remotePath) / remove(remotePath) / removeItem(item)
+ *   getHash(item)                     存储端的 QuickXorHash，不支持时返回空字符串
+ *   smallFileLimit                    不超过该大小时使用 putFile
+ *   verifyHashes                      上传后校验哈希（任务选项 verify）
+ *   conflictBehavior                  同名文件处理：rename / replace / fail / skip
+ *   uploadConcurrency                 多文件同时上传的数量（任务选项 upload_concurrency）
+ *
+ * 传入的 remotePath 统一按 OneDrive 的命名规则规范化（lib/paths.js），各存储上的路径保持一致。
+ */
+
+const { createOneDriveStorage } = require('./onedrive');
+const { createS3Storage } = require('./s3');
+const { createWebDavStorage } = require('./webdav');
+const { parseConflictBehavior } = require('./conflict');
+const { sanitizePath } = require('../paths');
+
+const DEFAULT_UPLOAD_CONCURRENCY = 4;
+const MAX_UPLOAD_CONCURRENCY = 16;
+
+// OneDrive 凭据和服务地址来自 OD_* 环境变量，S3 / WebDAV 配置来自任务选项中的 s3 / webdav 对象
+function createStorage(type, { env = {}, options = {} } = {}) {
+    return Object.assign(withSanitizedPaths(createAdapter(type, env, options)), storageSettings(options, env));
+}
+
+// 与连接无关的上传设置；批量任务共用一个存储连接，按各自的任务选项覆盖这些设置
+function storageSettings(options = {}, env = {}) {
+    return {
+        verifyHashes: options.verify === true || options.verify === 'true',
+        conflictBehavior: parseConflictBehavior(options.conflict_behavior || env.CONFLICT_BEHAVIOR),
+        uploadConcurrency: Math.min(MAX_UPLOAD_CONCURRENCY, Math.max(1, parseInt(options.upload_concurrency) || DEFAULT_UPLOAD_CONCURRENCY))
+    };
+}
+
+// 带 remotePath 参数的方法先规范化路径
+function withSanitizedPaths(adapter) {
+    const storage = { ...adapter };
+    for (const method of ['putFile', 'initSession', 'getFile', 'exists', 'remove']) {
+        storage[method] = (remotePath, ...args) => adapter[method](sanitizePath(remotePath), ...args);
+    }
+    return storage;
+}
+
+function createAdapter(type, env, options) {
+    switch (type) {
+        case 'onedrive':
+            return createOneDriveStorage({
+                clientId: env.OD_CLIENT_ID,
+                clientSecret: env.OD_CLIENT_SECRET,
+                tenantId: env.OD_TENANT_ID,
+                refreshToken: env.OD_REFRESH_TOKEN,
+                // 默认为 Microsoft 的正式地址，测试时指向本地模拟服务
+                graphBaseUrl: env.OD_GRAPH_BASE_URL,
+                authBaseUrl: env.OD_AUTH_BASE_URL
+            });
+        case 's3':
+            return createS3Storage(options.s3 || {});
+        case 'webdav':
+            return createWebDavStorage(options.webdav || {});
+        default:
+            throw new Error('Unknown storage type: ' + type);
+    }
+}
+
+module.exports = {
+    createStorage,
+    storageSettings
+};
@@ -0,0 +1,206 @@
+/**
+ * onedrive.js - OneDrive (Microsoft Graph) 存储适配器
+ *
+ * 小文件直接 PUT content，大文件使用 createUploadSession 分片上传；
+ * 令牌过期前主动刷新、401 时被动刷新，并记录轮换后的 refresh token。
+ * Graph 与令牌地址可配置，测试时指向 test/mock_graph_server.js。
+ */
+
+const path = require('path');
+const axios = require('axios');
+const { encodePath } = require('../paths');
+
+const GRAPH_BASE_URL = 'https://graph.microsoft.com/v1.0';
+const AUTH_BASE_URL = 'https://login.microsoftonline.com';
+const TOKEN_REFRESH_MARGIN = 5 * 60 * 1000;
+const SMALL_FILE_LIMIT = 4 * 1024 * 1024;
+const CHUNK_TIMEOUT = 5 * 60 * 1000;
+
+// config: { clientId, clientSecret, tenantId, refreshToken, graphBaseUrl?, authBaseUrl? }
+function createOneDriveStorage(config) {
+    const GRAPH_BASE = (config.graphBaseUrl || GRAPH_BASE_URL).replace(/\/+$/, '') + '/me/drive';
+    const authBaseUrl = (config.authBaseUrl || AUTH_BASE_URL).replace(/\/+$/, '');
+    const tokenManager = createTokenManager(authBaseUrl, config.clientId, config.clientSecret, config.tenantId, config.refreshToken);
+    const authHeaders = (accessToken) => ({ 'Authorization': 'Bearer ' + accessToken });
+
+    const getItem = async (remotePath) => {
+        try {
+            const response = await tokenManager.withToken(accessToken => axios.get(GRAPH_BASE + '/root:/' + encodePath(remotePath), { headers: authHeaders(accessToken) }));
+            return response.data;
+        } catch (e) {
+            if (e.response?.status === 404) return null;
+            throw e;
+        }
+    };
+
+    return {
+        type: 'onedrive',
+        smallFileLimit: SMALL_FILE_LIMIT,
+
+        init: () => tokenManager.getToken(),
+        getRotatedRefreshToken: tokenManager.getRotatedRefreshToken,
+
+        // conflictBehavior：rename / replace / fail（fail 时返回 409）
+        putFile: async (remotePath, buffer, conflictBehavior = 'rename') => {
+            const response = await tokenManager.withToken(accessToken => axios.put(
+                GRAPH_BASE + '/root:/' + encodePath(remotePath) + ':/content?@microsoft.graph.conflictBehavior=' + conflictBehavior,
+                buffer,
+                { headers: authHeaders(accessToken), maxBodyLength: Infinity }
+            ));
+            return withPath(response.data, remotePath);
+        },
+
+        initSession: async (remotePath, totalSize, conflictBehavior = 'rename') => {
+            const response = await tokenManager.withToken(accessToken => axios.post(
+                GRAPH_BASE + '/root:/' + encodePath(remotePath) + ':/createUploadSession',
+                { item: { '@microsoft.graph.conflictBehavior': conflictBehavior } },
+                { headers: authHeaders(accessToken) }
+            ));
+            return { uploadUrl: response.data.uploadUrl, remotePath, totalSize, item: null, committing: false };
+        },
+
+        // 上传地址已预授权，不带 Authorization；最后一个分片的响应即 driveItem
+        putChunk: async (session, buffer, start) => {
+            const end = start + buffer.length;
+            session.committing = end === session.totalSize;
+            const response = await axios.put(session.uploadUrl, buffer, {
+                headers: { 'Content-Length': buffer.length, 'Content-Range': 'bytes ' + start + '-' + (end - 1) + '/' + session.totalSize },
+                maxBodyLength: Infinity,
+                maxContentLength: Infinity,
+                timeout: CHUNK_TIMEOUT
+            });
+            if (session.committing) session.item = response.data;
+        },
+
+        // 以 nextExpectedRanges 为准；会话不存在返回 null
+        getOffset: async (session) => {
+            try {
+                const response = await axios.get(session.uploadUrl, { timeout: 30000 });
+                const next = response.data.nextExpectedRanges?.[0];
+                if (!next) throw new Error('Upload session has no expected ranges');
+                return parseInt(next.split('-')[0]);
+            } catch (e) {
+                if (e.response?.status !== 404) throw e;
+                // 最后一个分片可能已提交成功（会话随之关闭），检查目标文件
+                if (session.committing) {
+                    const item = await getItem(session.remotePath);
+                    if (item && item.size === session.totalSize) {
+                        session.item = item;
+                        return session.totalSize;
+                    }
+                }
+                return null;
+            }
+        },
+
+        finalize: async (session) => session.item && withPath(session.item, session.remotePath),
+
+        // 任务清单中保存的会话信息（上传地址有效期约数天）
+        saveSession: (session) => ({ uploadUrl: session.uploadUrl, remotePath: session.remotePath, totalSize: session.totalSize }),
+        restoreSession: (saved) => ({ ...saved, item: null, committing: false }),
+
+        abort: async (session) => {
+            await axios.delete(session.uploadUrl, { timeout: 30000 });
+        },
+
+        exists: getItem,
+
+        getFile: async (remotePath) => {
+            try {
+                const response = await tokenManager.withToken(accessToken => axios.get(GRAPH_BASE + '/root:/' + encodePath(remotePath) + ':/content', { headers: authHeaders(accessToken), responseType: 'arraybuffer' }));
+                return Buffer.from(response.data);
+            } catch (e) {
+                if (e.response?.status === 404) return null;
+                throw e;
+            }
+        },
+
+        remove: async (remotePath) => {
+            await tokenManager.withToken(accessToken => axios.delete(GRAPH_BASE + '/root:/' + encodePath(remotePath), { headers: authHeaders(accessToken) }));
+        },
+
+        // 按 id 删除（重名时实际文件名可能被重命名）
+        removeItem: async (item) => {
+            await tokenManager.withToken(accessToken => axios.delete(GRAPH_BASE + '/items/' + item.id, { headers: authHeaders(accessToken) }));
+        },
+
+        // 上传响应中的 quickXorHash，缺失时（哈希尚未计算完成）重新查询一次
+        getHash: async (item) => {
+            if (item?.file?.hashes?.quickXorHash) return item.file.hashes.quickXorHash;
+            if (!item?.id) return '';
+            const response = await tokenManager.withToken(accessToken => axios.get(GRAPH_BASE + '/items/' + item.id, { headers: authHeaders(accessToken) }));
+            return response.data.file?.hashes?.quickXorHash || '';
+        }
+    };
+}
+
+// 刷新失败的错误带 isAuthError 标记，失败回调归类为 auth_error
+async function refreshAccessToken(authBaseUrl, clientId, clientSecret, tenantId, refreshToken) {
+    try {
+        const response = await axios.post(authBaseUrl + '/' + tenantId + '/oauth2/v2.0/token', new URLSearchParams({ client_id: clientId, client_secret: clientSecret, refresh_token: refreshToken, grant_type: 'refresh_token' }), { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } });
+        return response.data; // access_token、expires_in，以及可能轮换的 refresh_token
+    } catch (e) {
+        e.isAuthError = true;
+        throw e;
+    }
+}
+
+// OneDrive 令牌管理：过期前主动刷新、401 时被动刷新，并记录轮换后的 refresh token
+function createTokenManager(authBaseUrl, clientId, clientSecret, tenantId, refreshToken) {
+    let accessToken = '';
+    let expiresAt = 0;
+    let currentRefreshToken = refreshToken;
+    let pending = null;
+
+    // 并发调用共享同一次刷新请求
+    const refresh = () => {
+        if (!pending) {
+            pending = refreshAccessToken(authBaseUrl, clientId, clientSecret, tenantId, currentRefreshToken)
+                .then(data => {
+                    accessToken = data.access_token;
+                    expiresAt = Date.now() + (parseInt(data.expires_in) || 3600) * 1000;
+                    if (data.refresh_token && data.refresh_token !== currentRefreshToken) {
+                        currentRefreshToken = data.refresh_token;
+                        console.log('Refresh token rotated');
+                    }
+                    console.log('OneDrive token refreshed, expires in', Math.round((expiresAt - Date.now()) / 60000), 'minutes');
+                    return accessToken;
+                })
+                .finally(() => { pending = null; });
+        }
+        return pending;
+    };
+
+    const getToken = async () => {
+        if (!accessToken || Date.now() > expiresAt - TOKEN_REFRESH_MARGIN) return refresh();
+        return accessToken;
+    };
+
+    // 执行 Graph 请求，401 时刷新令牌后重试一次
+    const withToken = async (request) => {
+        try {
+            return await request(await getToken());
+        } catch (e) {
+            if (e.response?.status !== 401) throw e;
+            console.log('Graph returned 401, refreshing token...');
+            return request(await refresh());
+        }
+    };
+
+    return {
+        getToken,
+        refresh,
+        withToken,
+        getRotatedRefreshToken: () => currentRefreshToken !== refreshToken ? currentRefreshToken : ''
+    };
+}
+
+// rename 时 OneDrive 只改文件名：按返回的 name 得到实际写入的路径
+function withPath(item, remotePath) {
+    const name = item?.name || path.posix.basename(remotePath);
+    return { ...item, path: path.posix.join(path.posix.dirname(remotePath), name) };
+}
+
+module.exports = {
+    createOneDriveStorage
+};
@@ -0,0 +1,215 @@
+/**
+ * s3.js - S3 兼容存储适配器（AWS S3 / MinIO / R2 等）
+ *
+ * 大文件使用 Multipart Upload，按 ListParts 结果续传；请求使用 SigV4 签名（UNSIGNED-PAYLOAD）。
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { resolveConflictPath } = require('./conflict');
+
+const SMALL_FILE_LIMIT = 5 * 1024 * 1024;
+const PART_TIMEOUT = 5 * 60 * 1000;
+
+// config: { endpoint, region, bucket, access_key_id, secret_access_key, force_path_style }
+function createS3Storage(config) {
+    const region = config.region || 'us-east-1';
+    const endpoint = (config.endpoint || 'https://s3.' + region + '.amazonaws.com').replace(/\/+$/, '');
+    const bucket = config.bucket;
+    const pathStyle = config.force_path_style !== false;
+    if (!bucket || !config.access_key_id || !config.secret_access_key) {
+        throw new Error('S3 storage requires bucket, access_key_id and secret_access_key');
+    }
+
+    const endpointUrl = new URL(endpoint);
+    const host = pathStyle ? endpointUrl.host : bucket + '.' + endpointUrl.host;
+    const basePath = pathStyle ? '/' + bucket : '';
+
+    const request = async (method, key, { query = {}, body, headers = {}, timeout = 60000, responseType } = {}) => {
+        const canonicalUri = basePath + '/' + encodeKey(key);
+        const canonicalQuery = Object.keys(query).sort()
+            .map(k => encodeRfc3986(k) + '=' + encodeRfc3986(String(query[k])))
+            .join('&');
+        const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+        const requestHeaders = {
+            ...headers,
+            'x-amz-content-sha256': 'UNSIGNED-PAYLOAD',
+            'x-amz-date': amzDate,
+            'Authorization': sign(method, host, canonicalUri, canonicalQuery, headers, amzDate)
+        };
+        return axios({
+            method,
+            url: endpointUrl.protocol + '//' + host + canonicalUri + (canonicalQuery ? '?' + canonicalQuery : ''),
+            data: body,
+            headers: requestHeaders,
+            maxBodyLength: Infinity,
+            maxContentLength: Infinity,
+            responseType,
+            timeout
+        });
+    };
+
+    const sign = (method, signHost, canonicalUri, canonicalQuery, headers, amzDate) => {
+        const dateStamp = amzDate.slice(0, 8);
+        const signed = { host: signHost, 'x-amz-content-sha256': 'UNSIGNED-PAYLOAD', 'x-amz-date': amzDate };
+        for (const name of Object.keys(headers)) signed[name.toLowerCase()] = String(headers[name]).trim();
+        const signedHeaders = Object.keys(signed).sort().join(';');
+        const canonicalHeaders = Object.keys(signed).sort().map(name => name + ':' + signed[name] + '\n').join('');
+        const canonicalRequest = [method, canonicalUri, canonicalQuery, canonicalHeaders, signedHeaders, 'UNSIGNED-PAYLOAD'].join('\n');
+        const scope = dateStamp + '/' + region + '/s3/aws4_request';
+        const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+        let key = hmac('AWS4' + config.secret_access_key, dateStamp);
+        key = hmac(key, region);
+        key = hmac(key, 's3');
+        key = hmac(key, 'aws4_request');
+        const signature = hmac(key, stringToSign).toString('hex');
+        return 'AWS4-HMAC-SHA256 Credential=' + config.access_key_id + '/' + scope + ', SignedHeaders=' + signedHeaders + ', Signature=' + signature;
+    };
+
+    const headObject = async (key) => {
+        try {
+            const response = await request('HEAD', key);
+            return { id: key, path: key, size: parseInt(response.headers['content-length']) || 0, etag: unquote(response.headers.etag) };
+        } catch (e) {
+            if (e.response?.status === 404) return null;
+            throw e;
+        }
+    };
+
+    return {
+        type: 's3',
+        smallFileLimit: SMALL_FILE_LIMIT,
+
+        init: async () => {},
+
+        putFile: async (remotePath, buffer, conflictBehavior = 'rename') => {
+            const key = await resolveConflictPath(headObject, remotePath, conflictBehavior);
+            const response = await request('PUT', key, { body: buffer, headers: { 'Content-Type': 'application/octet-stream' } });
+            return { id: key, path: key, size: buffer.length, etag: unquote(response.headers.etag) };
+        },
+
+        initSession: async (remotePath, totalSize, conflictBehavior = 'rename') => {
+            const key = await resolveConflictPath(headObject, remotePath, conflictBehavior);
+            const response = await request('POST', key, { query: { uploads: '' }, headers: { 'Content-Type': 'application/octet-stream' } });
+            const uploadId = xmlValue(response.data, 'UploadId');
+            if (!uploadId) throw new Error('CreateMultipartUpload returned no UploadId');
+            return { key, uploadId, totalSize, parts: [] };
+        },
+
+        // 分片号按起始位置顺延；重传某位置时替换其后的分片
+        putChunk: async (session, buffer, start) => {
+            session.parts = session.parts.filter(p => p.start < start);
+            const partNumber = session.parts.length + 1;
+            const response = await request('PUT', session.key, {
+                query: { partNumber, uploadId: session.uploadId },
+                body: buffer,
+                timeout: PART_TIMEOUT
+            });
+            session.parts.push({ partNumber, start, end: start + buffer.length, etag: unquote(response.headers.etag) });
+        },
+
+        // 以 ListParts 中从 1 开始连续的分片为准；上传已失效返回 null
+        getOffset: async (session) => {
+            let response;
+            try {
+                response = await request('GET', session.key, { query: { uploadId: session.uploadId } });
+            } catch (e) {
+                if (e.response?.status === 404) return null;
+                throw e;
+            }
+            const listed = xmlBlocks(response.data, 'Part').map(part => ({
+                partNumber: parseInt(xmlValue(part, 'PartNumber')),
+                size: parseInt(xmlValue(part, 'Size')),
+                etag: unquote(xmlValue(part, 'ETag'))
+            })).sort((a, b) => a.partNumber - b.partNumber);
+
+            const parts = [];
+            let offset = 0;
+            for (const part of listed) {
+                if (part.partNumber !== parts.length + 1) break;
+                parts.push({ partNumber: part.partNumber, start: offset, end: offset + part.size, etag: part.etag });
+                offset += part.size;
+            }
+            session.parts = parts;
+            return offset;
+        },
+
+        finalize: async (session) => {
+            const body = '<CompleteMultipartUpload>' + session.parts.map(p =>
+                '<Part><PartNumber>' + p.partNumber + '</PartNumber><ETag>"' + p.etag + '"</ETag></Part>'
+            ).join('') + '</CompleteMultipartUpload>';
+            const response = await request('POST', session.key, {
+                query: { uploadId: session.uploadId },
+                body,
+                headers: { 'Content-Type': 'application/xml' }
+            });
+            // CompleteMultipartUpload 可能返回 200 但正文为 Error
+            if (/<Error>/.test(response.data)) throw new Error('CompleteMultipartUpload failed: ' + xmlValue(response.data, 'Message'));
+            return { id: session.key, path: session.key, size: session.totalSize, etag: unquote(xmlValue(response.data, 'ETag')) };
+        },
+
+        // 任务清单中保存的会话信息，分片列表恢复时由 getOffset 从 ListParts 重建
+        saveSession: (session) => ({ key: session.key, uploadId: session.uploadId, totalSize: session.totalSize }),
+        restoreSession: (saved) => ({ ...saved, parts: [] }),
+
+        abort: async (session) => {
+            await request('DELETE', session.key, { query: { uploadId: session.uploadId } });
+        },
+
+        exists: headObject,
+
+        getFile: async (key) => {
+            try {
+                const response = await request('GET', key, { responseType: 'arraybuffer' });
+                return Buffer.from(response.data);
+            } catch (e) {
+                if (e.response?.status === 404) return null;
+                throw e;
+            }
+        },
+
+        removeItem: async (item) => {
+            await request('DELETE', item.id);
+        },
+
+        // 不提供 QuickXorHash，跳过校验
+        getHash: async () => '',
+
+        remove: async (key) => {
+            await request('DELETE', key);
+        }
+    };
+}
+
+function encodeRfc3986(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+}
+
+function encodeKey(key) {
+    return key.split('/').map(encodeRfc3986).join('/');
+}
+
+function sha256Hex(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function hmac(key, value) {
+    return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+function xmlValue(xml, tag) {
+    const match = String(xml || '').match(new RegExp('<' + tag + '>([\\s\\S]*?)</' + tag + '>'));
+    return match ? match[1].replace(/&quot;/g, '"').replace(/&amp;/g, '&') : '';
+}
+
+function xmlBlocks(xml, tag) {
+    return String(xml || '').match(new RegExp('<' + tag + '>[\\s\\S]*?</' + tag + '>', 'g')) || [];
+}
+
+function unquote(value) {
+    return (value || '').replace(/^"|"$/g, '');
+}
+
+module.exports = {
+    createS3Storage
+};
@@ -0,0 +1,150 @@
+/**
+ * webdav.js - WebDAV 存储适配器（Nextcloud / Alist / rclone serve 等）
+ *
+ * WebDAV 没有通用的分片上传协议，大文件以单个流式 PUT 上传；
+ * 中断后无法续传，getOffset 返回 null 由调用方从头重传。
+ */
+
+const { PassThrough } = require('stream');
+const axios = require('axios');
+const { resolveConflictPath } = require('./conflict');
+
+// 大文件改为流式 PUT，避免整文件读入内存
+const SMALL_FILE_LIMIT = 32 * 1024 * 1024;
+
+// config: { url, username, password }
+function createWebDavStorage(config) {
+    if (!config.url) throw new Error('WebDAV storage requires url');
+    const baseUrl = config.url.replace(/\/+$/, '');
+    const auth = config.username ? { username: config.username, password: config.password || '' } : undefined;
+    const createdFolders = new Set();
+
+    const urlFor = (remotePath) => baseUrl + '/' + remotePath.split('/').map(encodeURIComponent).join('/');
+
+    // 逐级 MKCOL 创建父目录（405 表示已存在）
+    const ensureParent = async (remotePath) => {
+        const parts = remotePath.split('/').slice(0, -1);
+        for (let i = 1; i <= parts.length; i++) {
+            const folder = parts.slice(0, i).join('/');
+            if (createdFolders.has(folder)) continue;
+            await axios({ method: 'MKCOL', url: urlFor(folder), auth, timeout: 30000, validateStatus: s => s < 300 || s === 405 });
+            createdFolders.add(folder);
+        }
+    };
+
+    // 上传不跟随重定向：跟随时 follow-redirects 会在内存中保留整个请求体以便重放，流式上传因此失去意义
+    const put = (remotePath, data, options) => axios.put(urlFor(remotePath), data, { auth, maxRedirects: 0, ...options }).catch(e => {
+        const status = e.response?.status;
+        if (status >= 300 && status < 400) {
+            throw new Error('WebDAV server redirected PUT ' + remotePath + ' (HTTP ' + status + ' to ' + (e.response.headers.location || 'unknown location') + '), configure the final URL instead');
+        }
+        throw e;
+    });
+
+    const headFile = async (remotePath) => {
+        try {
+            const response = await axios.head(urlFor(remotePath), { auth, timeout: 30000 });
+            return { id: remotePath, path: remotePath, size: parseInt(response.headers['content-length']) || 0 };
+        } catch (e) {
+            if (e.response?.status === 404) return null;
+            throw e;
+        }
+    };
+
+    return {
+        type: 'webdav',
+        smallFileLimit: SMALL_FILE_LIMIT,
+
+        init: async () => {},
+
+        putFile: async (requestedPath, buffer, conflictBehavior = 'rename') => {
+            await ensureParent(requestedPath);
+            const remotePath = await resolveConflictPath(headFile, requestedPath, conflictBehavior);
+            await put(remotePath, buffer, { maxBodyLength: Infinity, timeout: 5 * 60 * 1000 });
+            return { id: remotePath, path: remotePath, size: buffer.length };
+        },
+
+        // 打开一个声明了 Content-Length 的 PUT，后续分片依次写入请求体
+        initSession: async (requestedPath, totalSize, conflictBehavior = 'rename') => {
+            await ensureParent(requestedPath);
+            const remotePath = await resolveConflictPath(headFile, requestedPath, conflictBehavior);
+            const body = new PassThrough();
+            const session = { remotePath, totalSize, body, offset: 0, failed: null };
+            session.response = put(remotePath, body, {
+                headers: { 'Content-Length': totalSize, 'Content-Type': 'application/octet-stream' },
+                maxBodyLength: Infinity,
+                maxContentLength: Infinity
+            });
+            session.response.catch(e => {
+                session.failed = e;
+                body.destroy();
+            });
+            return session;
+        },
+
+        putChunk: async (session, buffer, start) => {
+            if (session.failed) throw session.failed;
+            if (start !== session.offset) throw new Error('WebDAV upload cannot seek to ' + start);
+            if (!session.body.write(buffer)) {
+                // 任一事件触发后移除另一个监听器，大文件的多次等待不会累积监听器
+                await new Promise((resolve, reject) => {
+                    const onDrain = () => {
+                        session.body.off('close', onClose);
+                        resolve();
+                    };
+                    const onClose = () => {
+                        session.body.off('drain', onDrain);
+                        reject(session.failed || new Error('WebDAV upload stream closed'));
+                    };
+                    session.body.once('drain', onDrain);
+                    session.body.once('close', onClose);
+                });
+            }
+            session.offset += buffer.length;
+        },
+
+        // 流式 PUT 无法续传：请求仍在进行则返回已写入字节数，否则返回 null 重新开始
+        getOffset: async (session) => session.failed || session.body.destroyed ? null : session.offset,
+
+        finalize: async (session) => {
+            session.body.end();
+            await session.response;
+            return { id: session.remotePath, path: session.remotePath, size: session.totalSize };
+        },
+
+        // 流式 PUT 无法跨进程续传，不保存会话
+        saveSession: () => null,
+
+        abort: async (session) => {
+            session.body.destroy();
+            await session.response.catch(() => {});
+        },
+
+        exists: headFile,
+
+        getFile: async (remotePath) => {
+            try {
+                const response = await axios.get(urlFor(remotePath), { auth, timeout: 30000, responseType: 'arraybuffer' });
+                return Buffer.from(response.data);
+            } catch (e) {
+                if (e.response?.status === 404) return null;
+                throw e;
+            }
+        },
+
+        removeItem: async (item) => {
+            await axios.delete(urlFor(item.id), { auth, timeout: 30000 });
+        },
+
+        // 不提供 QuickXorHash，跳过校验
+        getHash: async () => '',
+
+        remove: async (remotePath) => {
+            await axios.delete(urlFor(remotePath), { auth, timeout: 30000 });
+        }
+    };
+}
+
+module.exports = {
+    createWebDavStorage
+};
@@ -0,0 +1,112 @@
+/**
+ * thumbnail.js - 视频封面与缩略图拼图
+ *
+ * 用 ffmpeg 截取一帧作为封面（name.thumb.jpg），并在全片均匀截取 12 帧拼成 4x3 的缩略图（name.sheet.jpg）。
+ * 每帧都在输入端定位（-ss 在 -i 之前），只解码定位点附近的数据，大文件也很快。
+ * 未安装 ffmpeg 时整个任务跳过生成，单个文件失败只影响该文件。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { mimeTypeFor, probeMedia } = require('./media');
+
+const FFMPEG_TIMEOUT = 2 * 60 * 1000;
+const POSTER_WIDTH = 640;
+const SHEET_COLUMNS = 4;
+const SHEET_ROWS = 3;
+const SHEET_TILE_WIDTH = 320;
+// 封面取片长 10% 处，避开片头黑屏
+const POSTER_POSITION = 0.1;
+
+// options.thumbnails（或环境变量 THUMBNAILS）开启，未开启返回 null；ffmpeg 不可用时 ffmpeg 置为 null
+function parseThumbnailOptions(options = {}, env = {}) {
+    const enabled = options.thumbnails ?? env.THUMBNAILS;
+    if (enabled !== true && enabled !== 'true') return null;
+    return {
+        ffmpeg: env.FFMPEG_PATH || 'ffmpeg',
+        // 未提供时长时自行探测
+        probing: { ffprobe: env.FFPROBE_PATH || 'ffprobe' }
+    };
+}
+
+function isVideoFile(fileName) {
+    return mimeTypeFor(fileName).startsWith('video/');
+}
+
+// 相对路径对应的预览图路径：Show/ep01.mkv → Show/ep01.thumb.jpg / Show/ep01.sheet.jpg
+function previewPaths(relativePath) {
+    const base = relativePath.slice(0, relativePath.length - path.extname(relativePath).length);
+    return { poster: base + '.thumb.jpg', contactSheet: base + '.sheet.jpg' };
+}
+
+// 在 destDir 中生成预览图，返回 { poster, contactSheet }（本地路径，缩略图拼图可能缺失）；不是视频或无法生成时返回 null
+async function generateThumbnails(filePath, destDir, thumbnailing, duration = null) {
+    if (!thumbnailing.ffmpeg || !isVideoFile(filePath)) return null;
+    if (!duration) duration = (await probeMedia(filePath, thumbnailing.probing))?.duration || null;
+    fs.mkdirSync(destDir, { recursive: true });
+
+    const poster = path.join(destDir, 'poster.jpg');
+    try {
+        await extractFrame(thumbnailing.ffmpeg, filePath, duration ? duration * POSTER_POSITION : 0, POSTER_WIDTH, poster);
+    } catch (e) {
+        if (e.code === 'ENOENT') {
+            console.log('ffmpeg not found, skipping thumbnails');
+            thumbnailing.ffmpeg = null;
+        } else {
+            console.error('Cannot generate thumbnail for', path.basename(filePath) + ':', e.message);
+        }
+        return null;
+    }
+
+    // 时长未知时无法均匀取帧，只生成封面
+    let contactSheet = null;
+    if (duration) {
+        try {
+            contactSheet = await buildContactSheet(thumbnailing.ffmpeg, filePath, duration, destDir);
+        } catch (e) {
+            console.error('Cannot generate contact sheet for', path.basename(filePath) + ':', e.message);
+        }
+    }
+    return { poster, contactSheet };
+}
+
+async function buildContactSheet(ffmpeg, filePath, duration, destDir) {
+    const count = SHEET_COLUMNS * SHEET_ROWS;
+    for (let i = 0; i < count; i++) {
+        const frame = path.join(destDir, 'frame' + String(i).padStart(2, '0') + '.jpg');
+        await extractFrame(ffmpeg, filePath, duration * (i + 0.5) / count, SHEET_TILE_WIDTH, frame);
+    }
+    const sheet = path.join(destDir, 'sheet.jpg');
+    await runFfmpeg(ffmpeg, ['-i', path.join(destDir, 'frame%02d.jpg'), '-vf', 'tile=' + SHEET_COLUMNS + 'x' + SHEET_ROWS, '-frames:v', '1', '-q:v', '4', sheet]);
+    return sheet;
+}
+
+function extractFrame(ffmpeg, filePath, position, width, output) {
+    return runFfmpeg(ffmpeg, ['-ss', position.toFixed(3), '-i', filePath, '-an', '-sn', '-frames:v', '1', '-vf', 'scale=' + width + ':-2', '-q:v', '3', output]);
+}
+
+function runFfmpeg(command, args) {
+    const output = args[args.length - 1];
+    return new Promise((resolve, reject) => {
+        const proc = spawn(command, ['-v', 'error', '-y', ...args], { stdio: ['ignore', 'ignore', 'pipe'] });
+        let stderr = '';
+        const timer = setTimeout(() => proc.kill('SIGKILL'), FFMPEG_TIMEOUT);
+        proc.stderr.on('data', (data) => { stderr += data; });
+        proc.on('error', (err) => { clearTimeout(timer); reject(err); });
+        proc.on('close', (code) => {
+            clearTimeout(timer);
+            // 定位超出片尾时 ffmpeg 正常退出但不输出文件
+            if (code === 0 && fs.existsSync(output)) return resolve(output);
+            const detail = stderr.trim().split('\n').filter(l => l.trim()).pop() || '';
+            reject(new Error('ffmpeg exited with code ' + code + (detail ? ': ' + detail : '')));
+        });
+    });
+}
+
+module.exports = {
+    parseThumbnailOptions,
+    isVideoFile,
+    previewPaths,
+    generateThumbnails
+};
@@ -0,0 +1,181 @@
+/**
+ * trackers.js - Tracker 列表
+ *
+ * 合并公共 tracker 列表（默认 XIU2 与 ngosang）、任务提供的 tracker 和内置备用 tracker，
+ * 校验 URL 并去重，再并发做一次快速探测（UDP 发送 connect 请求，HTTP 发送 announce 请求），
+ * 去掉无响应的 tracker。全部探测失败时（例如网络屏蔽了 UDP）保留未探测的列表。
+ */
+
+const crypto = require('crypto');
+const dgram = require('dgram');
+const axios = require('axios');
+const { runPool } = require('./pool');
+
+const DEFAULT_SOURCES = [
+    'https://raw.githubusercontent.com/XIU2/TrackersListCollection/master/all.txt',
+    'https://raw.githubusercontent.com/ngosang/trackerslist/master/trackers_all.txt'
+];
+const BACKUP_TRACKERS = [
+    'http://tracker.bt4g.com:2095/announce',
+    'udp://tracker.opentrackr.org:1337/announce',
+    'udp://open.stealth.si:80/announce'
+];
+const SOURCE_TIMEOUT = 15000;
+const PROBE_TIMEOUT = 5000;
+const PROBE_CONCURRENCY = 32;
+const SUPPORTED_PROTOCOLS = ['udp:', 'http:', 'https:', 'wss:'];
+// BEP 15 connect 请求的协议标识
+const UDP_PROTOCOL_ID = 0x41727101980n;
+
+// options.trackers（或环境变量 BT_TRACKERS）追加 tracker，options.tracker_sources（或 TRACKER_SOURCES）替换默认列表来源
+// （设为空则不获取公共列表），options.probe_trackers: false（或 PROBE_TRACKERS=false）跳过探测
+function parseTrackerOptions(options = {}, env = {}) {
+    const sources = options.tracker_sources ?? env.TRACKER_SOURCES;
+    const probe = options.probe_trackers ?? env.PROBE_TRACKERS;
+    return {
+        sources: sources === undefined ? DEFAULT_SOURCES : splitList(sources),
+        trackers: parseTrackerList(options.trackers ?? env.BT_TRACKERS),
+        probe: probe !== false && probe !== 'false',
+        probeTimeout: parseInt(options.tracker_probe_timeout ?? env.TRACKER_PROBE_TIMEOUT) * 1000 || PROBE_TIMEOUT
+    };
+}
+
+// 数组或以逗号、空白分隔的字符串；返回去重后的有效 tracker URL，忽略无法解析和不支持的协议
+function parseTrackerList(value) {
+    const trackers = [];
+    for (const item of splitList(value)) {
+        const url = normalizeTracker(item);
+        if (url && !trackers.includes(url)) trackers.push(url);
+    }
+    return trackers;
+}
+
+function normalizeTracker(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch {
+        return null;
+    }
+    if (!SUPPORTED_PROTOCOLS.includes(url.protocol) || !url.hostname) return null;
+    // UDP tracker 没有默认端口
+    if (url.protocol === 'udp:' && !url.port) return null;
+    // udp: 不是 URL 标准中的特殊协议，主机名不会自动转为小写
+    url.hostname = url.hostname.toLowerCase();
+    return url.href;
+}
+
+function splitList(value) {
+    if (!value) return [];
+    const items = Array.isArray(value) ? value : String(value).split(/[,\s]+/);
+    return items.map(s => String(s).trim()).filter(s => s && !s.startsWith('#'));
+}
+
+// 按 trackerOptions 获取并探测，返回 tracker URL 数组；日志写到 stderr，命令行模式下 stdout 只有结果
+async function resolveTrackers(trackerOptions) {
+    const fetched = [];
+    for (const source of trackerOptions.sources) {
+        try {
+            const response = await axios.get(source, { timeout: SOURCE_TIMEOUT, responseType: 'text' });
+            const list = parseTrackerList(response.data);
+            console.error('Trackers from', source + ':', list.length);
+            fetched.push(...list);
+        } catch (e) {
+            console.error('Cannot fetch tracker list', source + ':', e.message);
+        }
+    }
+    const trackers = parseTrackerList([...trackerOptions.trackers, ...fetched, ...BACKUP_TRACKERS]);
+    if (!trackerOptions.probe) return trackers;
+
+    const alive = await probeTrackers(trackers, trackerOptions.probeTimeout);
+    console.error('Trackers responding:', alive.length + '/' + trackers.length);
+    return alive.length > 0 ? alive : trackers;
+}
+
+// 并发探测，保持原顺序返回有响应的 tracker；wss 无法直接探测，原样保留
+async function probeTrackers(trackers, timeout = PROBE_TIMEOUT) {
+    const alive = new Array(trackers.length).fill(false);
+    await runPool(trackers, PROBE_CONCURRENCY, async (tracker, i) => {
+        alive[i] = await probeTracker(tracker, timeout);
+    });
+    return trackers.filter((_, i) => alive[i]);
+}
+
+async function probeTracker(tracker, timeout = PROBE_TIMEOUT) {
+    const url = new URL(tracker);
+    try {
+        if (url.protocol === 'udp:') return await probeUdp(url.hostname, parseInt(url.port), timeout);
+        if (url.protocol === 'wss:') return true;
+        return await probeHttp(url, timeout);
+    } catch {
+        return false;
+    }
+}
+
+// 以随机 info_hash 发送 announce：返回 bencode 字典（包括 failure reason）即视为可用
+async function probeHttp(url, timeout) {
+    const query = [
+        'info_hash=' + percentEncode(crypto.randomBytes(20)),
+        'peer_id=' + percentEncode(Buffer.concat([Buffer.from('-AR0000-'), crypto.randomBytes(12)])),
+        'port=6881', 'uploaded=0', 'downloaded=0', 'left=0', 'compact=1', 'numwant=0'
+    ].join('&');
+    const announce = url.href + (url.search ? '&' : '?') + query;
+    const response = await axios.get(announce, {
+        timeout,
+        responseType: 'arraybuffer',
+        maxRedirects: 2,
+        validateStatus: () => true
+    });
+    return Buffer.from(response.data).subarray(0, 1).toString() === 'd';
+}
+
+function percentEncode(bytes) {
+    return Array.from(bytes, b => '%' + b.toString(16).padStart(2, '0')).join('');
+}
+
+// BEP 15：发送 connect 请求，收到同一 transaction id 的 connect 响应即视为可用
+function probeUdp(host, port, timeout) {
+    return new Promise((resolve) => {
+        const socket = dgram.createSocket(host.includes(':') ? 'udp6' : 'udp4');
+        const transactionId = crypto.randomBytes(4);
+        const request = Buffer.alloc(16);
+        request.writeBigUInt64BE(UDP_PROTOCOL_ID, 0);
+        request.writeUInt32BE(0, 8);
+        transactionId.copy(request, 12);
+
+        let finished = false;
+        const finish = (result) => {
+            if (finished) return;
+            finished = true;
+            clearTimeout(timer);
+            socket.close();
+            resolve(result);
+        };
+        const timer = setTimeout(() => finish(false), timeout);
+        socket.on('error', () => finish(false));
+        socket.on('message', (message) => {
+            if (message.length >= 16 && message.readUInt32BE(0) === 0 && message.subarray(4, 8).equals(transactionId)) finish(true);
+        });
+        socket.send(request, port, host.replace(/^\[|\]$/g, ''));
+    });
+}
+
+module.exports = {
+    DEFAULT_SOURCES,
+    BACKUP_TRACKERS,
+    parseTrackerOptions,
+    parseTrackerList,
+    resolveTrackers,
+    probeTrackers,
+    probeTracker
+};
+
+// 命令行：输出合并探测后的 tracker 列表（逗号分隔），供直接调用 aria2c 的流水线使用
+if (require.main === module) {
+    resolveTrackers(parseTrackerOptions({}, process.env)).then(trackers => {
+        process.stdout.write(trackers.join(',') + '\n');
+    }, (err) => {
+        console.error(err.message);
+        process.exit(1);
+    });
+}
@@ -1,173 +1,770 @@
 /**
- * stream_upload.js - Magnet Download + OneDrive Upload
+ * stream_upload.js - Magnet / Torrent / HTTP Download + OneDrive / S3 / WebDAV Upload
  * Version: 1.2
  * 
- * Strategy:
- * - <=13GB: Download all then upload
- * - >13GB single file: Stream upload while downloading
- * - >13GB multi-file: Download one, upload one, delete one
+ * Strategy (lib/planner.js, based on free disk space):
+ * - Fits on disk: Download all then upload
+ * - Single file too large: Stream upload while downloading
+ * - Multi-file too large: Download, upload and delete in batches that fit;
+ *   files larger than free space are streamed one by one
  */
 
 const VERSION = '1.2';
 
-const { spawn, execSync } = require('child_process');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const axios = require('axios');
+const { startAria2, shutdownAll, statusToProgress, contiguousBytes, formatBytes } = require('./lib/aria2_rpc');
+const { parseFileFilter, isFilterActive, applyFileFilter, parseSize } = require('./lib/file_filter');
+const { resolveSource, fetchHttpMetadata } = require('./lib/source');
+const { createStorage, storageSettings } = require('./lib/storage');
+const { DISK_RESERVE, DOWNLOAD_MODES, getFreeSpace, planStrategy, describePlan } = require('./lib/planner');
+const { createQuickXorHash, quickXorHash } = require('./lib/quickxorhash');
+const { manifestPathFor, loadManifest, createManifest, withCheckpoints } = require('./lib/manifest');
+const { runPool, createWorkQueue, createThroughputMeter } = require('./lib/pool');
+const { resolveProgressUrl, resolveControlUrl, sendCallback, createProgressReporter } = require('./lib/callback');
+const { parseExtractOptions, isArchiveVolume, findArchiveSets, extractArchive } = require('./lib/archive');
+const { sanitizePath } = require('./lib/paths');
+const { parseProbeOptions, mimeTypeFor, probeMedia } = require('./lib/media');
+const { parseThumbnailOptions, isVideoFile, previewPaths, generateThumbnails } = require('./lib/thumbnail');
+const { parseBatchTasks, runBatch } = require('./lib/batch');
+const { parseTrackerOptions, parseTrackerList, resolveTrackers } = require('./lib/trackers');
+const { USAGE, parseCommandLine } = require('./lib/cli');
+const { createCancellation, withCancellation, watchControl, handleSignals } = require('./lib/cancel');
 
 const CHUNK_SIZE = 30 * 1024 * 1024;
-const LARGE_FILE_THRESHOLD = 13 * 1024 * 1024 * 1024;
 const POLL_INTERVAL = 5000;
+const METADATA_TIMEOUT = 120000;
+const UPLOAD_MAX_RETRIES = 8;
+const VERIFY_MAX_RETRIES = 2;
+const DEFAULT_FILE_RETRIES = 2;
+const MAX_FILE_RETRIES = 10;
+// 批量任务的总时限，留出 job 超时（360 分钟）前回调的时间
+const BATCH_TIME_LIMIT = 5.5 * 3600000;
+
+// 失败回调的错误分类
+const ERROR_CODES = {
+    METADATA_TIMEOUT: 'metadata_timeout',
+    STALLED: 'stalled',
+    MAX_TIME: 'max_time',
+    DOWNLOAD_ERROR: 'download_error',
+    UPLOAD_ERROR: 'upload_error',
+    AUTH_ERROR: 'auth_error',
+    DISK_FULL: 'disk_full',
+    NO_FILES_SELECTED: 'no_files_selected',
+    FILE_EXISTS: 'file_exists',
+    CANCELLED: 'cancelled',
+    UNKNOWN: 'unknown'
+};
 
 async function main() {
-    const magnet = process.env.MAGNET;
-    const clientId = process.env.OD_CLIENT_ID;
-    const clientSecret = process.env.OD_CLIENT_SECRET;
-    const tenantId = process.env.OD_TENANT_ID;
-    const refreshToken = process.env.OD_REFRESH_TOKEN;
-    const rootPath = process.env.OD_ROOT_PATH || 'imgbed';
+    // 命令行参数（lib/cli.js）覆盖环境变量和 TASK_OPTIONS；workflow 中不带参数运行
+    let cli;
+    try {
+        cli = parseCommandLine(process.argv.slice(2));
+    } catch (e) {
+        console.error(e.message + '\n\n' + USAGE);
+        process.exitCode = 2;
+        return;
+    }
+    if (cli.help) return console.log(USAGE);
+    Object.assign(process.env, cli.env);
+    const taskOptions = { ...parseTaskOptions(process.env.TASK_OPTIONS), ...cli.options };
+    // 单个任务来自 MAGNET / TASK_ID / UPLOAD_FOLDER，options.tasks 为列表时依次处理多个任务（lib/batch.js）
+    const tasks = parseBatchTasks(taskOptions, process.env);
+    // 存储后端：onedrive（默认）/ s3 / webdav，批量任务共用同一个存储连接和令牌
+    const storageType = (taskOptions.storage_type || process.env.STORAGE_TYPE || 'onedrive').toLowerCase();
     const callbackUrl = process.env.CALLBACK_URL;
-    const taskId = process.env.TASK_ID;
-    const uploadFolder = process.env.UPLOAD_FOLDER || '';
+    // 回调与进度请求的 HMAC 签名密钥（lib/callback.js）
+    const callbackSecret = taskOptions.callback_secret || process.env.CALLBACK_SECRET || '';
     const maxTimeHours = parseFloat(process.env.TIMEOUT_HOURS) || 2;
-    const stallTimeoutMinutes = 30;
-    const trackers = process.env.BT_TRACKERS || '';
-    
-    // 进度回调 URL（与 callback 同域）
-    const progressUrl = callbackUrl ? callbackUrl.replace('/callback', '/progress') : '';
+    const stallTimeoutMinutes = parseFloat(process.env.STALL_TIMEOUT_MINUTES) || 30;
 
     console.log('=== Magnet Download Task v' + VERSION + ' ===');
-    console.log('Magnet:', magnet?.substring(0, 80) + '...');
+    if (cli.dryRun) console.log('Dry run: metadata and plan only');
+    if (tasks.length > 1) console.log('Batch:', tasks.length, 'tasks');
     console.log('Max Time:', maxTimeHours, 'hours');
     console.log('Stall Timeout:', stallTimeoutMinutes, 'minutes');
+    console.log('Storage:', storageType);
+    console.log('Callback signing:', callbackSecret ? 'enabled' : 'disabled');
 
-    const accessToken = await refreshAccessToken(clientId, clientSecret, tenantId, refreshToken);
-    console.log('OneDrive token refreshed');
+    // 存储只认证一次；认证失败时每个任务都以 auth_error 回调
+    let authentication = null;
+    // tracker 列表在第一个 BT 任务开始时获取并探测一次（lib/trackers.js）
+    let trackerList = null;
+    // SIGTERM / SIGINT 取消当前任务，批量任务中之后的任务直接以 cancelled 回调
+    const shutdown = createCancellation();
+    const signalExitCode = handleSignals(shutdown);
+    const context = {
+        storageType,
+        callbackUrl,
+        callbackSecret,
+        rootPath: process.env.OD_ROOT_PATH || 'imgbed',
+        trackers: () => trackerList || (trackerList = resolveTrackers(parseTrackerOptions(taskOptions, process.env))),
+        maxTime: maxTimeHours * 3600000,
+        stallTimeout: stallTimeoutMinutes * 60000,
+        batchSize: tasks.length,
+        // --dry-run：只获取元数据并输出计划，不连接存储、不下载上传、不回调
+        dryRun: cli.dryRun,
+        shutdown,
+        // 批量任务须在 job 时限内结束，超时后的任务不再开始
+        deadline: tasks.length > 1 ? Date.now() + BATCH_TIME_LIMIT : Infinity,
+        connect: () => authentication || (authentication = (async () => {
+            const storage = createStorage(storageType, { env: process.env, options: taskOptions });
+            await storage.init();
+            return storage;
+        })())
+    };
 
-    const downloadDir = './downloads';
-    fs.mkdirSync(downloadDir, { recursive: true });
+    const results = await runBatch(tasks, (task, index) => runTask(task, index, context));
+    if (tasks.length > 1) {
+        console.log('\n=== Batch summary ===');
+        results.forEach(r => console.log('  ' + (r.taskId || '(no task id)') + ':', r.status + (r.error ? ' - ' + r.error.message : '')));
+    }
+    const failed = results.filter(r => r.status === 'failed');
+    const cancelled = results.filter(r => r.status === 'cancelled').length;
+    // 取消不作为程序错误：收到信号时以该信号的退出码结束（SIGTERM 143 / SIGINT 130）；
+    // 被取消的任务不等待进行中的下载上传自行结束，因此直接退出
+    if (signalExitCode()) {
+        console.error('Stopped by signal:', cancelled, 'of', tasks.length, 'tasks cancelled' + (failed.length ? ', ' + failed.length + ' failed' : ''));
+        process.exit(signalExitCode());
+    }
+    if (tasks.length === 1 && failed.length === 1) throw failed[0].error;
+    if (failed.length > 0) throw new Error(failed.length + ' of ' + tasks.length + ' tasks failed' + (cancelled ? ', ' + cancelled + ' cancelled' : ''));
+    // 远程取消的任务未完成，退出码为 1
+    if (cancelled > 0) {
+        console.error(cancelled, 'of', tasks.length, 'tasks cancelled');
+        process.exit(1);
+    }
+}
 
-    console.log('Fetching metadata...');
-    const metadata = await fetchMetadata(magnet, trackers, downloadDir);
-    const totalSize = metadata.totalSize;
-    const torrentName = metadata.fileName;
-    const fileCount = metadata.fileCount || 1;
-    const fileList = metadata.fileList || [];
+// 执行一个任务并回调结果；失败时回调后抛出错误
+async function runTask({ taskId, source: sourceInput, uploadFolder, options: taskOptions }, index, context) {
+    const { storageType, callbackUrl, callbackSecret, rootPath, stallTimeout } = context;
+    const fileFilter = parseFileFilter(taskOptions);
+    // 下载后解压压缩包再上传（lib/archive.js），未开启时为 null
+    const extraction = parseExtractOptions(taskOptions, process.env);
+    // 上传前读取音视频的时长、分辨率、编码和字幕轨道（lib/media.js），未开启时为 null
+    const probing = parseProbeOptions(taskOptions, process.env);
+    // 视频上传后生成封面和缩略图拼图，上传到视频旁边（lib/thumbnail.js），未开启时为 null
+    const thumbnailing = parseThumbnailOptions(taskOptions, process.env);
+    const batch = context.batchSize > 1 ? { index: index + 1, count: context.batchSize } : null;
+    
+    // 进度回调 URL：显式配置优先，否则由 callback URL 推导
+    const progressUrl = resolveProgressUrl(process.env.PROGRESS_URL || taskOptions.progress_url, callbackUrl);
+    // 控制端点（同样由 callback URL 推导）返回 cancel 或进程收到信号时取消任务（lib/cancel.js）
+    const controlUrl = resolveControlUrl(process.env.CONTROL_URL || taskOptions.control_url, callbackUrl);
+    const cancellation = createCancellation();
+    cancellation.onCancel(() => shutdownAll());
+    const forwardShutdown = context.shutdown.onCancel((reason) => cancellation.cancel(reason));
+    if (context.shutdown.isCancelled()) await cancellation.cancel(context.shutdown.reason());
+    const stopWatching = context.dryRun ? () => {} : watchControl(controlUrl, taskId, callbackSecret, cancellation, parseFloat(taskOptions.control_interval) * 1000 || undefined);
 
-    console.log('Name:', torrentName);
-    console.log('Size:', (totalSize / 1024 / 1024 / 1024).toFixed(2), 'GB');
-    console.log('Files:', fileCount);
-    console.log('Upload folder:', uploadFolder || '(root)');
+    if (batch) console.log('\n=== Task ' + batch.index + '/' + batch.count + ': ' + (taskId || '(no task id)') + ' ===');
+    console.log('Source:', sourceInput?.substring(0, 80) + '...');
+    console.log('Extract archives:', extraction ? (extraction.skipArchives ? 'yes, skip originals' : 'yes') : 'no');
+    console.log('Probe media:', probing ? 'yes' : 'no');
+    console.log('Thumbnails:', thumbnailing ? 'yes' : 'no');
 
-    const isLarge = totalSize > LARGE_FILE_THRESHOLD;
-    const isMultiFile = fileCount > 1;
-    
-    let mode = !isLarge ? 'normal' : (isMultiFile ? 'sequential' : 'streaming');
-    console.log('Mode:', mode);
+    // 任务状态：失败时用于回调当前阶段和已上传的文件
+    const task = { phase: 'auth', torrentName: '', uploadedFiles: [], skippedFiles: [], failedFiles: [] };
+    // 顺序模式中单个文件失败时的重试次数与处理方式
+    const fileErrors = parseFileErrorOptions(taskOptions, task.failedFiles);
+    let storage = null;
+    let manifest = null;
+    // 所有文件合计的上传速率，附加在每次进度上报中
+    const uploadMeter = createThroughputMeter();
+    // 批量任务各用一个下载子目录，结束后删除，为后续任务腾出磁盘空间
+    const downloadDir = batch ? path.join('./downloads', String(batch.index)) : './downloads';
 
-    // 构建 OneDrive 上传基础路径：rootPath/uploadFolder/dateFolder
-    // 磁力内容会保持原有结构追加在后面
-    const now = new Date();
-    const dateFolder = `${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}`;
-    
-    // 清理 uploadFolder 的前后斜杠
-    const cleanUploadFolder = (uploadFolder || '').replace(/^\/+/, '').replace(/\/+$/, '');
-    
-    // OneDrive 路径：rootPath/uploadFolder/dateFolder/[磁力原有结构]
-    const onedrivePath = [rootPath, cleanUploadFolder, dateFolder].filter(p => p).join('/');
-    // 图床 KV 路径：uploadFolder/[磁力原有结构]（不含 rootPath 和 dateFolder）
-    const kvBasePath = cleanUploadFolder;
-    
-    console.log('OneDrive base path:', onedrivePath);
-    console.log('KV base path:', kvBasePath || '(root)');
+    try {
+        cancellation.throwIfCancelled();
+        const maxTime = Math.min(context.maxTime, context.deadline - Date.now());
+        if (maxTime <= 0) throw taskError(ERROR_CODES.MAX_TIME, 'Batch time limit reached before the task started');
+        if (!context.dryRun) storage = withUploadMeter({ ...await context.connect(), ...storageSettings(taskOptions, process.env) }, uploadMeter);
 
-    // 进度报告函数
-    const reportProgress = createProgressReporter(progressUrl, taskId);
+        fs.mkdirSync(downloadDir, { recursive: true });
 
-    let uploadedFiles = [];
-    const maxTime = maxTimeHours * 3600000;
-    const stallTimeout = stallTimeoutMinutes * 60000;
-    
-    if (mode === 'normal') {
-        uploadedFiles = await normalDownloadAndUpload(magnet, trackers, downloadDir, totalSize, accessToken, onedrivePath, kvBasePath, maxTime, stallTimeout, reportProgress);
-    } else if (mode === 'streaming') {
-        uploadedFiles = await streamingDownloadAndUpload(magnet, trackers, downloadDir, totalSize, accessToken, onedrivePath, kvBasePath, maxTime, stallTimeout, reportProgress);
-    } else {
-        uploadedFiles = await sequentialDownloadAndUpload(magnet, trackers, downloadDir, torrentName, fileList, fileCount, accessToken, onedrivePath, kvBasePath, maxTime, stallTimeout, reportProgress);
-    }
+        task.phase = 'metadata';
+        const source = await resolveSource(sourceInput, downloadDir).catch(e => { throw sourceError(e); });
+        console.log('Source type:', source.type);
+        // 批量任务中单个任务的 trackers 追加在共用列表之后
+        const trackers = source.type === 'http' ? '' : parseTrackerList([...await context.trackers(), ...parseTrackerList(taskOptions.trackers)]).join(',');
 
-    if (callbackUrl) {
-        try {
-            await axios.post(callbackUrl, {
-                taskId,
-                status: 'completed',
-                torrentName: torrentName,
-                uploadFolder: uploadFolder,
-                files: uploadedFiles.map(f => ({
-                    fileName: f.name,        // 文件名
-                    fileSize: f.size,
-                    itemId: f.itemId || '',
-                    onedrivePath: f.onedrivePath || '',  // OneDrive 完整路径
-                    kvPath: f.kvPath || ''               // 图床 KV 的 fileId
-                }))
-            });
-            console.log('Callback sent');
-        } catch (e) {
-            console.error('Callback failed:', e.message);
+        console.log('Fetching metadata...');
+        const metadata = await cancellation.race(fetchMetadata(source, trackers, downloadDir));
+        // 下载时直接加载已获取的 .torrent，不再通过磁力链接重新获取元数据
+        if (metadata.torrentFile) source.torrentFile = metadata.torrentFile;
+        const torrentName = metadata.fileName;
+        task.torrentName = torrentName;
+
+        // 按 include/exclude/大小/序号筛选文件
+        let fileList = metadata.fileList || [];
+        let totalSize = metadata.totalSize;
+        if (isFilterActive(fileFilter)) {
+            if (fileList.length === 0) {
+                console.error('File list unavailable, filter ignored');
+            } else {
+                const { selected, skipped } = applyFileFilter(fileList, fileFilter);
+                if (selected.length === 0) throw taskError(ERROR_CODES.NO_FILES_SELECTED, 'No files match the file filter');
+                fileList = selected;
+                task.skippedFiles = skipped;
+                totalSize = selected.reduce((sum, f) => sum + f.size, 0);
+                console.log('Selected', selected.length, 'files, skipped', skipped.length);
+                skipped.forEach(f => console.log('  Skip [' + f.reason + ']:', f.path));
+            }
         }
+        // 构建存储上传基础路径：rootPath/uploadFolder/dateFolder
+        // 磁力内容会保持原有结构追加在后面
+        const now = new Date();
+        const dateFolder = `${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}`;
+        
+        // 清理 uploadFolder 的前后斜杠
+        const cleanUploadFolder = (uploadFolder || '').replace(/^\/+/, '').replace(/\/+$/, '');
+        
+        // 存储路径：rootPath/uploadFolder/dateFolder/[磁力原有结构]（变量名沿用 onedrivePath）
+        let onedrivePath = [rootPath, cleanUploadFolder, dateFolder].filter(p => p).join('/');
+        // 图床 KV 路径：uploadFolder/[磁力原有结构]（不含 rootPath 和 dateFolder）
+        const kvBasePath = cleanUploadFolder;
+
+        // 任务清单：记录每个文件的上传状态和未完成的上传会话，resume 时跳过已上传的文件
+        if (taskId && taskOptions.checkpoint !== false && !context.dryRun) {
+            const manifestPath = manifestPathFor(rootPath, taskId);
+            let previous = taskOptions.resume ? await withRetry('Load task manifest', () => loadManifest(storage, manifestPath)) : null;
+            if (taskOptions.resume && !previous) console.log('No task manifest found, starting from scratch');
+            if (previous && previous.source !== sourceInput) {
+                console.error('Task manifest belongs to a different source, ignored');
+                previous = null;
+            }
+            manifest = createManifest(storage, manifestPath, previous || { taskId, source: sourceInput, torrentName, onedrivePath, kvBasePath });
+            storage = withCheckpoints(storage, manifest);
+            if (previous) {
+                // 沿用上次的上传目录（日期文件夹可能已跨月）
+                onedrivePath = previous.onedrivePath;
+                const entries = fileList.length > 0 ? fileList : [{ path: torrentName, size: totalSize }];
+                for (const file of entries) {
+                    const remotePath = onedrivePath + '/' + file.path;
+                    if (!manifest.isUploaded(remotePath)) continue;
+                    task.uploadedFiles.push({
+                        name: file.path,
+                        size: file.size,
+                        itemId: manifest.getFile(remotePath).itemId,
+                        onedrivePath: remotePath,
+                        kvPath: kvBasePath ? kvBasePath + '/' + file.path : file.path
+                    });
+                }
+                fileList = fileList.filter(f => !manifest.isUploaded(onedrivePath + '/' + f.path));
+                totalSize = Math.max(0, totalSize - task.uploadedFiles.reduce((sum, f) => sum + f.size, 0));
+                console.log('Resuming task:', task.uploadedFiles.length, 'files already uploaded');
+            }
+            await manifest.setStatus('running');
+        }
+        // 取消时删除未完成的上传会话
+        if (storage) storage = withCancellation(storage, cancellation);
+
+        // conflict_behavior = skip：存储端已有同名且大小一致的文件时不再下载上传；
+        // 存储端提供哈希时仍需下载，上传前比较 QuickXorHash（storage.existingFiles，见 findIdentical）
+        if (storage?.conflictBehavior === 'skip') {
+            const entries = fileList.length > 0 ? fileList : [{ path: torrentName, size: totalSize }];
+            const existing = [];
+            const sameSize = new Map();
+            for (const file of entries) {
+                const remotePath = onedrivePath + '/' + file.path;
+                if (task.uploadedFiles.some(f => f.onedrivePath === remotePath)) continue;
+                const item = await withRetry('Check ' + remotePath, () => storage.exists(remotePath));
+                if (!item || item.size !== file.size) continue;
+                const hash = await storage.getHash(item).catch(() => '');
+                if (hash) {
+                    sameSize.set(sanitizePath(remotePath), { item, quickXorHash: hash });
+                    continue;
+                }
+                existing.push(file);
+                task.uploadedFiles.push({
+                    name: file.path,
+                    size: file.size,
+                    itemId: item.id || '',
+                    quickXorHash: '',
+                    onedrivePath: remotePath,
+                    kvPath: kvBasePath ? kvBasePath + '/' + file.path : file.path,
+                    alreadyExists: true
+                });
+                console.log('  Exists:', file.path);
+            }
+            fileList = fileList.filter(f => !existing.includes(f));
+            totalSize = Math.max(0, totalSize - existing.reduce((sum, f) => sum + f.size, 0));
+            if (existing.length > 0) console.log(existing.length, 'files already exist, skipped');
+            if (sameSize.size > 0) {
+                console.log(sameSize.size, 'files with the same size exist, comparing hashes after download');
+                storage = { ...storage, existingFiles: sameSize };
+            }
+        }
+        // 续传或跳过已存在文件时只统计尚未上传的文件（可能为 0）
+        const fileCount = task.uploadedFiles.length > 0 ? fileList.length : (fileList.length || metadata.fileCount || 1);
+
+        // 进度报告函数（同时记录当前阶段）
+        const progressReporter = createProgressReporter(progressUrl, taskId, callbackSecret);
+        const reportProgress = (data) => {
+            if (data.phase) task.phase = data.phase;
+            const throughput = uploadMeter.rate();
+            progressReporter({ ...data, throughput, uploadSpeed: formatBytes(throughput) + '/s', uploadedBytes: uploadMeter.total() });
+        };
+
+        console.log('Name:', torrentName);
+        console.log('Size:', (totalSize / 1024 / 1024 / 1024).toFixed(2), 'GB');
+        console.log('Files:', fileCount);
+        console.log('Upload folder:', uploadFolder || '(root)');
+        console.log('Storage base path:', onedrivePath);
+        console.log('KV base path:', kvBasePath || '(root)');
+
+        // 按实际可用磁盘空间和最大单文件选择策略，options.download_mode 可指定模式
+        const downloadMode = DOWNLOAD_MODES.includes(taskOptions.download_mode) ? taskOptions.download_mode : 'auto';
+        const plan = planStrategy(totalSize, fileList, getFreeSpace(downloadDir), DISK_RESERVE, parseSize(taskOptions.max_disk_usage), downloadMode);
+        // 直链大文件直接从 HTTP 流式上传，不落盘；FTP 无法流式，只能普通模式
+        if (plan.mode === 'streaming' && source.type === 'http' && !/^https?:/i.test(source.uri)) plan.mode = 'normal';
+        if (fileCount === 0) {
+            plan.mode = 'done';
+            plan.reason = 'all files already uploaded or present';
+        }
+        const mode = plan.mode;
+        console.log('Plan:', describePlan(plan));
+        plan.batches.forEach((b, i) => console.log('  Batch ' + (i + 1) + (b.stream ? ' [stream]' : '') + ':', b.files.length, 'files,', (b.size / 1024 / 1024 / 1024).toFixed(2), 'GB'));
+        if (context.dryRun) {
+            printDryRun(fileList, torrentName, totalSize, onedrivePath, kvBasePath);
+            return;
+        }
+        reportProgress({
+            phase: 'planning',
+            progress: '策略: ' + describePlan(plan),
+            percent: 0,
+            plan: { mode, reason: plan.reason, freeSpace: plan.freeSpace, totalSize: plan.totalSize, largestFile: plan.largestFile, batches: plan.batches.length }
+        });
+
+        // 取消时不等待下载上传自行结束（aria2c 已关闭，上传会话已删除）
+        await cancellation.race((async () => {
+            if (mode === 'done') {
+                console.log('All files already uploaded or present');
+            } else if (mode === 'normal') {
+                await normalDownloadAndUpload(source, trackers, downloadDir, fileList, storage, onedrivePath, kvBasePath, maxTime, stallTimeout, reportProgress, task.uploadedFiles, extraction, probing, thumbnailing);
+            } else if (mode === 'streaming' && source.type === 'http') {
+                await httpStreamingUpload(source, torrentName, totalSize, storage, onedrivePath, kvBasePath, maxTime, stallTimeout, reportProgress, task.uploadedFiles);
+            } else if (mode === 'streaming') {
+                await streamingDownloadAndUpload(source, trackers, downloadDir, fileList, storage, onedrivePath, kvBasePath, maxTime, stallTimeout, reportProgress, task.uploadedFiles, probing);
+            } else {
+                await sequentialDownloadAndUpload(source, trackers, downloadDir, plan.batches, storage, onedrivePath, kvBasePath, maxTime, stallTimeout, reportProgress, task.uploadedFiles, extraction, probing, thumbnailing, fileErrors);
+            }
+        })());
+        // 顺序模式跳过了全部文件
+        if (task.failedFiles.length > 0 && task.uploadedFiles.length === 0) {
+            throw taskError(task.failedFiles[0].reason, 'All ' + task.failedFiles.length + ' files failed');
+        }
+    } catch (err) {
+        // 取消后其他错误（aria2c 被关闭、会话被删除）都按取消处理
+        const cancelled = cancellation.isCancelled();
+        if (manifest) await manifest.setStatus(cancelled ? 'cancelled' : 'failed');
+        // 失败回调：有已上传文件时为 partial，便于调用方保留；取消时为 cancelled，同样列出已上传的文件
+        const code = cancelled ? ERROR_CODES.CANCELLED : classifyError(err);
+        const message = cancelled ? cancellation.reason() : err.message;
+        console.error('Task ' + (cancelled ? 'cancelled' : 'failed [' + code + ']') + ' in phase ' + task.phase + ':', message);
+        await sendCallback(callbackUrl, {
+            taskId,
+            status: cancelled ? 'cancelled' : task.uploadedFiles.length > 0 ? 'partial' : 'failed',
+            torrentName: task.torrentName,
+            uploadFolder: uploadFolder,
+            error: { code, message, phase: task.phase },
+            files: formatCallbackFiles(task.uploadedFiles),
+            skippedFiles: formatSkippedFiles(task.skippedFiles),
+            failedFiles: formatFailedFiles(task.failedFiles),
+            storageType,
+            ...renamedPathsField(task.uploadedFiles),
+            ...archivesField(extraction),
+            ...manifestField(manifest),
+            ...batchField(batch),
+            ...rotatedTokenField(storage)
+        }, callbackSecret);
+        // 取消时其他错误同样按取消结束，runBatch 据此记为 cancelled
+        throw cancelled ? taskError(ERROR_CODES.CANCELLED, message) : err;
+    } finally {
+        stopWatching();
+        forwardShutdown();
+        if (batch) fs.rmSync(downloadDir, { recursive: true, force: true });
     }
 
+    const status = task.failedFiles.length > 0 ? 'partial' : 'completed';
+    if (manifest) await manifest.setStatus(status);
+    await sendCallback(callbackUrl, {
+        taskId,
+        status,
+        torrentName: task.torrentName,
+        uploadFolder: uploadFolder,
+        files: formatCallbackFiles(task.uploadedFiles),
+        skippedFiles: formatSkippedFiles(task.skippedFiles),
+        failedFiles: formatFailedFiles(task.failedFiles),
+        storageType,
+        ...renamedPathsField(task.uploadedFiles),
+        ...archivesField(extraction),
+        ...manifestField(manifest),
+        ...batchField(batch),
+        ...rotatedTokenField(storage)
+    }, callbackSecret);
+
+    console.log('Uploaded', formatBytes(uploadMeter.total()), 'at', formatBytes(uploadMeter.average()) + '/s average');
     console.log('All done!');
 }
 
-async function fetchMetadata(magnet, trackers, downloadDir) {
-    return new Promise((resolve, reject) => {
-        const args = [magnet, '--dir=' + downloadDir, '--bt-metadata-only=true', '--bt-save-metadata=true', '--file-allocation=none', '--seed-time=0'];
-        if (trackers) args.push('--bt-tracker=' + trackers);
-
-        const aria2 = spawn('aria2c', args);
-        let fileName = '', totalSize = 0, fileCount = 1, fileList = [], output = '';
-
-        aria2.stdout.on('data', (data) => {
-            const str = data.toString();
-            output += str;
-            console.log(str);
-            const nameMatch = output.match(/Name: (.+)/);
-            const sizeMatch = output.match(/Total Length: ([\d,]+)/);
-            if (nameMatch) fileName = nameMatch[1].trim();
-            if (sizeMatch) totalSize = parseInt(sizeMatch[1].replace(/,/g, ''));
-            const filesMatch = str.match(/(\d+) files/i);
-            if (filesMatch) fileCount = parseInt(filesMatch[1]);
-        });
+// --dry-run：列出将下载上传的文件及其存储路径和 KV 路径
+function printDryRun(fileList, torrentName, totalSize, onedrivePath, kvBasePath) {
+    const entries = fileList.length > 0 ? fileList : [{ path: torrentName, size: totalSize }];
+    console.log('\nFiles to upload (' + entries.length + '):');
+    for (const file of entries) {
+        console.log('  ' + (file.index ? '[' + file.index + '] ' : '') + file.path + ' (' + formatBytes(file.size) + ')');
+        console.log('    storage: ' + sanitizePath(onedrivePath + '/' + file.path));
+        console.log('    kv:      ' + sanitizePath(kvBasePath ? kvBasePath + '/' + file.path : file.path));
+    }
+}
 
-        aria2.stderr.on('data', (data) => console.error(data.toString()));
+// client_payload.options（JSON），未提供时为 null
+function parseTaskOptions(json) {
+    if (!json) return {};
+    try {
+        return JSON.parse(json) || {};
+    } catch (e) {
+        console.error('Invalid TASK_OPTIONS:', e.message);
+        return {};
+    }
+}
 
-        aria2.on('close', () => {
-            const torrentFiles = fs.readdirSync(downloadDir).filter(f => f.endsWith('.torrent'));
-            if (torrentFiles.length > 0) {
-                try {
-                    const torrentPath = path.join(downloadDir, torrentFiles[0]);
-                    const showFilesOutput = execSync('aria2c --show-files "' + torrentPath + '"', { encoding: 'utf8', timeout: 30000 });
-                    const lines = showFilesOutput.split('\n');
-                    for (const line of lines) {
-                        const indexMatch = line.match(/^(\d+)\|/);
-                        const pathMatch = line.match(/path=([^|]+)/);
-                        const sizeMatch = line.match(/length=([\d]+)/);
-                        if (indexMatch && pathMatch) {
-                            fileList.push({ index: parseInt(indexMatch[1]), path: pathMatch[1], size: sizeMatch ? parseInt(sizeMatch[1]) : 0 });
-                        }
-                    }
-                    if (fileList.length > 0) fileCount = fileList.length;
-                } catch (e) { console.error('Parse error:', e.message); }
+// options.file_retries（默认 2）与 options.on_file_error（skip 默认 / abort）
+function parseFileErrorOptions(options, failedFiles) {
+    const retries = parseInt(options.file_retries);
+    return {
+        retries: Number.isNaN(retries) ? DEFAULT_FILE_RETRIES : Math.min(MAX_FILE_RETRIES, Math.max(0, retries)),
+        skip: options.on_file_error !== 'abort',
+        failed: failedFiles
+    };
+}
+
+// 回调中的文件列表格式
+function formatCallbackFiles(uploadedFiles) {
+    return uploadedFiles.map(f => ({
+        fileName: f.name,        // 文件名
+        fileSize: f.size,
+        itemId: f.itemId || '',
+        quickXorHash: f.quickXorHash || '',  // 开启 verify 时为上传内容的 QuickXorHash
+        alreadyExists: !!f.alreadyExists,    // conflict_behavior = skip 时存储端已有的文件
+        extractedFrom: f.extractedFrom || '',  // 解压出的文件所属的压缩包（相对下载目录）
+        mimeType: mimeTypeFor(f.name),
+        media: f.media || null,              // 开启 probe_media 时音视频文件的时长、分辨率、编码和轨道
+        thumbnails: f.thumbnails ? formatThumbnails(f.thumbnails) : null,  // 开启 thumbnails 时视频的封面和缩略图拼图
+        onedrivePath: sanitizePath(f.onedrivePath || ''),  // 存储中的完整路径（字段名沿用 OneDrive）
+        kvPath: sanitizePath(f.kvPath || '')               // 图床 KV 的 fileId
+    }));
+}
+
+// 按 OneDrive 命名规则改过名的文件：原始路径 → 实际路径（相对上传目录，同 kvPath）
+function renamedPathsField(uploadedFiles) {
+    const renamed = uploadedFiles
+        .filter(f => f.kvPath && sanitizePath(f.kvPath) !== f.kvPath)
+        .map(f => ({ original: f.kvPath, sanitized: sanitizePath(f.kvPath) }));
+    return renamed.length > 0 ? { renamedPaths: renamed } : {};
+}
+
+function formatThumbnails(thumbnails) {
+    const result = {};
+    for (const [kind, t] of Object.entries(thumbnails)) {
+        result[kind] = { itemId: t.itemId, onedrivePath: sanitizePath(t.onedrivePath), kvPath: sanitizePath(t.kvPath) };
+    }
+    return result;
+}
+
+// 被筛选跳过的文件
+function formatSkippedFiles(skippedFiles) {
+    return skippedFiles.map(f => ({
+        fileName: f.path,
+        fileSize: f.size,
+        index: f.index,
+        reason: f.reason         // index / include / exclude / min_size / max_size
+    }));
+}
+
+// 重试后仍失败的文件（顺序模式，on_file_error = skip）
+function formatFailedFiles(failedFiles) {
+    return failedFiles.map(f => ({
+        fileName: f.path,
+        fileSize: f.size,
+        index: f.index,          // 解压出的文件为 null
+        reason: f.reason,        // 错误分类，同 error.code
+        error: f.error,
+        attempts: f.attempts
+    }));
+}
+
+// 统计成功上传的字节数（重试的分片只计一次）
+function withUploadMeter(storage, meter) {
+    return {
+        ...storage,
+        putFile: async (remotePath, buffer, conflictBehavior) => {
+            const item = await storage.putFile(remotePath, buffer, conflictBehavior);
+            meter.add(buffer.length);
+            return item;
+        },
+        putChunk: async (session, buffer, start) => {
+            await storage.putChunk(session, buffer, start);
+            meter.add(buffer.length);
+        }
+    };
+}
+
+// 任务清单路径，重新派发时带 options.resume 即可续传
+function manifestField(manifest) {
+    return manifest ? { manifestPath: manifest.path } : {};
+}
+
+// 开启解压时回传每个压缩包的解压结果
+function archivesField(extraction) {
+    return extraction ? { archives: extraction.results } : {};
+}
+
+// 开启 probe_media 时探测本地音视频文件，结果随回调 files 返回
+async function mediaField(filePath, probing) {
+    const media = probing ? await probeMedia(filePath, probing) : null;
+    return media ? { media } : {};
+}
+
+// 开启 thumbnails 时为视频生成封面（.thumb.jpg）和缩略图拼图（.sheet.jpg）并上传到视频旁边，失败不影响视频本身
+async function thumbnailsField(filePath, torrentPath, storage, onedrivePath, kvBasePath, thumbnailing, media = null) {
+    if (!thumbnailing?.ffmpeg || !isVideoFile(filePath)) return {};
+    const destDir = fs.mkdtempSync(path.join(os.tmpdir(), 'thumbs-'));
+    try {
+        const generated = await generateThumbnails(filePath, destDir, thumbnailing, media?.duration);
+        if (!generated) return {};
+        const remote = previewPaths(torrentPath);
+        const thumbnails = {};
+        for (const kind of ['poster', 'contactSheet']) {
+            if (!generated[kind]) continue;
+            const result = await uploadToStorage(generated[kind], remote[kind], fs.statSync(generated[kind]).size, storage, onedrivePath);
+            thumbnails[kind] = { itemId: result.itemId, onedrivePath: result.path, kvPath: kvBasePath ? kvBasePath + '/' + remote[kind] : remote[kind] };
+        }
+        return { thumbnails };
+    } catch (e) {
+        console.error('Cannot upload thumbnails for', torrentPath + ':', e.message);
+        return {};
+    } finally {
+        fs.rmSync(destDir, { recursive: true, force: true });
+    }
+}
+
+// 批量任务中的序号
+function batchField(batch) {
+    return batch ? { batch } : {};
+}
+
+// 刷新令牌被轮换时回传给 ImgBed 持久化
+function rotatedTokenField(storage) {
+    const rotated = storage?.getRotatedRefreshToken?.();
+    return rotated ? { odRefreshToken: rotated } : {};
+}
+
+async function fetchMetadata(source, trackers, downloadDir) {
+    if (source.type === 'http') return fetchHttpMetadata(source.uri).catch(e => { throw sourceError(e); });
+
+    const client = await startAria2();
+    try {
+        // 已提供 .torrent 时跳过磁力元数据获取
+        let torrentFile = source.torrentFile;
+        if (!torrentFile) {
+            const options = { dir: downloadDir, 'bt-metadata-only': 'true', 'bt-save-metadata': 'true' };
+            if (trackers) options['bt-tracker'] = trackers;
+            const gid = await client.addUri([source.uri], options);
+
+            const deadline = Date.now() + METADATA_TIMEOUT;
+            let status = null;
+            while (true) {
+                status = await client.tellStatus(gid, ['status', 'errorCode', 'errorMessage', 'infoHash', 'connections']);
+                if (status.status === 'complete') break;
+                if (status.status === 'error' || status.status === 'removed') {
+                    throw taskError(ERROR_CODES.METADATA_TIMEOUT, 'Failed to get metadata: ' + (status.errorMessage || status.status));
+                }
+                if (Date.now() > deadline) {
+                    // 超时仍按未知大小继续（普通模式下载）
+                    console.error('Metadata timeout, continuing without file list');
+                    return { fileName: 'download', totalSize: 1024 * 1024 * 1024, fileCount: 1, fileList: [] };
+                }
+                await sleep(1000);
             }
-            
-            if (fileName && totalSize > 0) resolve({ fileName, totalSize, fileCount, fileList });
-            else if (torrentFiles.length > 0) resolve({ fileName: torrentFiles[0].replace('.torrent', ''), totalSize: 1024 * 1024 * 1024, fileCount, fileList });
-            else reject(new Error('Failed to get metadata'));
-        });
+            torrentFile = path.join(downloadDir, status.infoHash + '.torrent');
+        }
+
+        // 以暂停状态加载种子，读取文件列表后移除
+        const torrentGid = await client.addTorrent(fs.readFileSync(torrentFile).toString('base64'), { dir: downloadDir, pause: 'true' });
+        const info = await client.tellStatus(torrentGid, ['totalLength', 'bittorrent', 'numPieces', 'pieceLength']);
+        const files = await client.getFiles(torrentGid);
+        await client.remove(torrentGid);
+
+        const fileList = files.map(f => ({
+            index: parseInt(f.index),
+            path: path.relative(downloadDir, f.path).replace(/\\/g, '/'),
+            size: parseInt(f.length)
+        }));
+        return {
+            fileName: info.bittorrent?.info?.name || path.basename(torrentFile, '.torrent'),
+            totalSize: parseInt(info.totalLength),
+            fileCount: fileList.length || 1,
+            fileList,
+            torrentFile,
+            pieceLength: parseInt(info.pieceLength),
+            numPieces: parseInt(info.numPieces)
+        };
+    } finally {
+        await client.shutdown();
+    }
+}
+
+// aria2 单个下载任务的选项（对应命令行参数）
+function aria2Options(downloadDir, trackers, extra = {}) {
+    const options = { dir: downloadDir, 'file-allocation': 'none', 'seed-time': '0', 'max-connection-per-server': '16', 'split': '16', 'bt-max-peers': '150', ...extra };
+    if (trackers) options['bt-tracker'] = trackers;
+    return options;
+}
+
+// 通过 RPC 启动下载并轮询 tellStatus：检测停滞与超时，
+// 磁力链接的元数据任务完成后自动跟随实际下载任务（followedBy）
+async function startDownload(source, options, maxTime, stallTimeout, onStatus = null) {
+    const client = await startAria2();
+    const gid = source.torrentFile
+        ? await client.addTorrent(fs.readFileSync(source.torrentFile).toString('base64'), options)
+        : await client.addUri([source.uri], options);
+    const download = { client, gid, status: null };
+    const startTime = Date.now();
+    let lastCompleted = -1;
+    let lastProgressTime = Date.now();
 
-        setTimeout(() => { aria2.kill(); resolve({ fileName: 'download', totalSize: 1024 * 1024 * 1024, fileCount: 1, fileList: [] }); }, 120000);
+    download.done = new Promise((resolve, reject) => {
+        let polling = false;
+        let finished = false;
+        const finish = (err) => {
+            if (finished) return;
+            finished = true;
+            clearInterval(timer);
+            client.shutdown().finally(() => err ? reject(err) : resolve(download.status));
+        };
+        download.stop = () => finish(taskError(ERROR_CODES.DOWNLOAD_ERROR, 'Download stopped'));
+        const timer = setInterval(async () => {
+            if (polling) return;
+            polling = true;
+            try {
+                let status = await client.tellStatus(download.gid);
+                if (status.status === 'complete' && status.followedBy?.length) {
+                    download.gid = status.followedBy[0];
+                    status = await client.tellStatus(download.gid);
+                }
+                download.status = status;
+
+                const completed = parseInt(status.completedLength) || 0;
+                if (completed > lastCompleted) {
+                    lastCompleted = completed;
+                    lastProgressTime = Date.now();
+                }
+                if (onStatus) onStatus(status);
+
+                if (status.status === 'complete') finish();
+                else if (status.status === 'error') finish(aria2ExitError(parseInt(status.errorCode), status.errorMessage));
+                else if (status.status === 'removed') finish(taskError(ERROR_CODES.DOWNLOAD_ERROR, 'Download removed'));
+                else if (Date.now() - lastProgressTime > stallTimeout) finish(taskError(ERROR_CODES.STALLED, 'No progress for ' + (stallTimeout / 60000) + ' minutes'));
+                else if (Date.now() - startTime > maxTime) finish(taskError(ERROR_CODES.MAX_TIME, 'Max time exceeded (' + (maxTime / 3600000) + 'h)'));
+            } catch (e) {
+                if (!client.isRunning()) finish(aria2ExitError(client.exitCode()));
+                else console.error('aria2 RPC error:', e.message);
+            } finally {
+                polling = false;
+            }
+        }, POLL_INTERVAL);
     });
+    download.done.catch(() => {}); // 由调用方 await 处理
+    return download;
+}
+
+// 等待实际下载任务出现（磁力元数据解析完成）并返回其文件列表
+async function waitForFiles(download) {
+    let settled = false;
+    download.done.then(() => { settled = true; }, () => { settled = true; });
+    while (!settled) {
+        const isMetadata = !download.status || download.status.bittorrent && !download.status.bittorrent.info;
+        if (!isMetadata) {
+            const files = await download.client.getFiles(download.gid);
+            if (files.length > 0 && files[0].path && !files[0].path.startsWith('[METADATA]')) return files;
+        }
+        await sleep(1000);
+    }
+    return [];
+}
+
+// 只下载选中的文件（fileList 为空表示全部）
+function selectFileOption(fileList) {
+    return fileList.length > 0 ? { 'select-file': fileList.map(f => f.index).join(',') } : {};
+}
+
+function isSelectedFile(fileList, relativePath) {
+    const normalized = relativePath.replace(/\\/g, '/');
+    return fileList.length === 0 || fileList.some(f => f.path === normalized);
+}
+
+// 解压 files（绝对路径）中的压缩包到临时目录，解压出的文件保持压缩包所在目录的结构（torrentPath 相对 downloadDir）；
+// 解压失败或空间不足时原压缩包照常上传，开启 skip_archives 时解压成功的原压缩包不再上传。
+// 返回 { files: 按原样上传的文件, extracted: [{ file, torrentPath, extractedFrom }], stagingDir }
+async function extractArchives(files, downloadDir, extraction, reportProgress) {
+    const sets = extraction ? findArchiveSets(files) : [];
+    if (sets.length === 0) return { files, extracted: [], stagingDir: null };
+
+    const stagingDir = fs.mkdtempSync(path.join(os.tmpdir(), 'extract-'));
+    const extracted = [];
+    const skipped = new Set();
+    for (let i = 0; i < sets.length; i++) {
+        const set = sets[i];
+        const archivePath = path.relative(downloadDir, set.entry).replace(/\\/g, '/');
+        const archiveDir = path.posix.dirname(archivePath);
+        const result = { fileName: archivePath, volumes: set.volumes.length, status: 'extracted', files: 0 };
+        extraction.results.push(result);
+
+        // 解压后的大小未知，至少需要与压缩包相当的空间
+        const archiveSize = set.volumes.reduce((sum, v) => sum + fs.statSync(v).size, 0);
+        if (getFreeSpace(stagingDir) - DISK_RESERVE < archiveSize) {
+            Object.assign(result, { status: 'failed', error: 'Not enough disk space to extract' });
+            console.error('Skipping extraction of', archivePath + ': not enough disk space');
+            continue;
+        }
+
+        console.log('Extracting:', archivePath, '(' + set.volumes.length + ' volumes)');
+        if (reportProgress) {
+            reportProgress({ phase: 'extracting', progress: `解压 ${path.basename(archivePath)}`, currentFile: archivePath });
+        }
+        const destDir = path.join(stagingDir, String(i));
+        try {
+            const names = await extractArchive(set.entry, destDir, extraction.password);
+            names.forEach(name => extracted.push({
+                file: path.join(destDir, name),
+                torrentPath: archiveDir === '.' ? name : archiveDir + '/' + name,
+                extractedFrom: archivePath
+            }));
+            result.files = names.length;
+            if (extraction.skipArchives) set.volumes.forEach(v => skipped.add(v));
+            console.log('Extracted', names.length, 'files from', archivePath);
+        } catch (e) {
+            Object.assign(result, { status: 'failed', error: e.message });
+            console.error('Extraction failed:', archivePath, e.message);
+            fs.rmSync(destDir, { recursive: true, force: true });
+        }
+    }
+    return { files: files.filter(f => !skipped.has(f)), extracted, stagingDir };
+}
+
+// 多文件任务中已下载完成且已写入磁盘的选中文件（单文件任务和磁力元数据阶段返回空）
+function completedTorrentFiles(status, downloadDir) {
+    return (status.files || [])
+        .filter(f => f.selected !== 'false' && f.path && !f.path.startsWith('[METADATA]'))
+        .filter(f => parseInt(f.length) > 0 && f.completedLength === f.length)
+        .map(f => f.path)
+        .filter(file => path.relative(downloadDir, file).replace(/\\/g, '/').includes('/') && fs.existsSync(file));
 }
 
 function getAllFiles(dirPath, arr = []) {
@@ -179,119 +776,124 @@ function getAllFiles(dirPath, arr = []) {
     return arr;
 }
 
-async function normalDownloadAndUpload(magnet, trackers, downloadDir, totalSize, accessToken, onedrivePath, kvBasePath, maxTime, stallTimeout, reportProgress) {
+async function normalDownloadAndUpload(source, trackers, downloadDir, fileList, storage, onedrivePath, kvBasePath, maxTime, stallTimeout, reportProgress, uploadedFiles = [], extraction = null, probing = null, thumbnailing = null) {
     console.log('[Normal] Starting download...');
-    const args = [magnet, '--dir=' + downloadDir, '--file-allocation=none', '--seed-time=0', '--max-connection-per-server=16', '--bt-max-peers=150', '--summary-interval=5'];
-    if (trackers) args.push('--bt-tracker=' + trackers);
+    let download = null;
+    let filesDone = 0;
+    let isMultiFile = true;
+    const queued = new Set();
 
-    await new Promise((resolve, reject) => {
-        const aria2 = spawn('aria2c', args);
-        let lastProgress = 0;
-        let lastProgressTime = Date.now();
-        
-        const maxTimer = setTimeout(() => { 
-            aria2.kill(); 
-            reject(new Error('Max time exceeded (' + (maxTime / 3600000) + 'h)')); 
-        }, maxTime);
-        
-        const stallChecker = setInterval(() => {
-            if (Date.now() - lastProgressTime > stallTimeout) {
-                clearInterval(stallChecker);
-                clearTimeout(maxTimer);
-                aria2.kill();
-                reject(new Error('No progress for ' + (stallTimeout / 60000) + ' minutes'));
-            }
-        }, 30000);
-        
-        let buffer = '';
-        aria2.stdout.on('data', (data) => {
-            buffer += data.toString();
-            const lines = buffer.split('\n');
-            buffer = lines.pop(); // Keep incomplete line in buffer
-            
-            for (const str of lines) {
-                console.log(str);
-                const cnMatch = str.match(/CN:(\d+)/);
-                const progressMatch = str.match(/(\d+)%/);
-                if (cnMatch && parseInt(cnMatch[1]) > 0) lastProgressTime = Date.now();
-                if (progressMatch) {
-                    const progress = parseInt(progressMatch[1]);
-                    if (progress > lastProgress) {
-                        lastProgress = progress;
-                        lastProgressTime = Date.now();
-                    }
-                }
-                // 报告进度
-                const progressInfo = parseAria2Progress(str);
-                if (progressInfo && reportProgress) {
-                    reportProgress({ ...progressInfo, phase: 'downloading' });
-                }
-            }
-        });
-        aria2.stderr.on('data', (data) => console.error(data.toString()));
-        aria2.on('close', (code) => { 
-            clearTimeout(maxTimer); 
-            clearInterval(stallChecker);
-            code === 0 ? resolve() : reject(new Error('Download failed')); 
-        });
+    // 多文件：磁力原有结构是 torrentName/file.mkv
+    // OneDrive: onedrivePath/torrentName/relativePath，KV: kvBasePath/torrentName/relativePath (不含日期)
+    // 单文件的压缩包解压出的文件：relativePath 即 torrentPath
+    const uploads = createWorkQueue(storage.uploadConcurrency, async ({ file, torrentPath, extractedFrom }) => {
+        const relativePath = isMultiFile ? torrentPath.slice(torrentPath.indexOf('/') + 1) : torrentPath;
+        const fileSize = fs.statSync(file).size;
+        console.log('[' + (filesDone + 1) + '/' + queued.size + '] Uploading:', relativePath);
+        if (reportProgress) {
+            reportProgress({ 
+                phase: 'uploading', 
+                progress: `上传中 [${filesDone + 1}/${queued.size}] ${relativePath}`,
+                filesDone,
+                fileCount: queued.size,
+                currentFile: relativePath
+            });
+        }
+        try {
+            const media = await mediaField(file, probing);
+            const uploadResult = await uploadToStorage(file, torrentPath, fileSize, storage, onedrivePath);
+            uploadedFiles.push({ 
+                name: relativePath, 
+                size: fileSize,
+                itemId: uploadResult.itemId,
+                quickXorHash: uploadResult.quickXorHash,
+                alreadyExists: uploadResult.alreadyExists,
+                onedrivePath: uploadResult.path,
+                kvPath: renamedPath(kvBasePath ? kvBasePath + '/' + torrentPath : torrentPath, uploadResult.path),
+                extractedFrom,
+                ...media,
+                ...await thumbnailsField(file, torrentPath, storage, onedrivePath, kvBasePath, thumbnailing, media.media)
+            });
+            filesDone++;
+        } catch (e) {
+            // 上传失败后不再继续下载
+            if (download) download.stop();
+            throw e;
+        }
     });
+    const enqueue = (file, torrentPath = path.relative(downloadDir, file).replace(/\\/g, '/'), extractedFrom = '') => {
+        const key = path.resolve(file);
+        if (queued.has(key)) return;
+        queued.add(key);
+        uploads.push({ file, torrentPath, extractedFrom });
+    };
+
+    download = await startDownload(source, aria2Options(downloadDir, trackers, { 'disk-cache': '0', ...selectFileOption(fileList) }), maxTime, stallTimeout, (status) => {
+        // 多文件：下载完成的文件立即加入上传队列，与剩余部分的下载并行；开启解压时压缩包等全部下载完成后再处理
+        completedTorrentFiles(status, downloadDir).filter(file => !extraction || !isArchiveVolume(file)).forEach(file => enqueue(file));
+        // 报告进度
+        const progressInfo = statusToProgress(status);
+        console.log(progressInfo.progress);
+        if (reportProgress) {
+            reportProgress({ ...progressInfo, phase: 'downloading', filesDone, fileCount: queued.size });
+        }
+    });
+    try {
+        await download.done;
+    } catch (e) {
+        // 等进行中的上传结束（结果计入清单）后再报告错误
+        uploads.fail(e);
+        uploads.close();
+        await uploads.drain();
+    }
 
     console.log('Download complete, uploading...');
     // 报告下载完成，开始上传
     if (reportProgress) {
-        reportProgress({ phase: 'uploading', progress: '下载完成，开始上传...', percent: 0 });
+        reportProgress({ phase: 'uploading', progress: '下载完成，开始上传...', percent: Math.round((filesDone / Math.max(queued.size, 1)) * 100) });
     }
     
     const items = fs.readdirSync(downloadDir).filter(f => !f.endsWith('.torrent') && !f.endsWith('.aria2'));
-    if (items.length === 0) throw new Error('No files found');
+    if (items.length === 0) throw taskError(ERROR_CODES.DOWNLOAD_ERROR, 'No files found');
     
     const firstItem = path.join(downloadDir, items[0]);
     const stats = fs.statSync(firstItem);
-    const uploadedFiles = [];
     
     if (stats.isDirectory()) {
-        // 多文件：磁力原有结构是 torrentName/file.mkv
-        const torrentName = items[0];
-        const allFiles = getAllFiles(firstItem);
-        console.log('Multi-file:', allFiles.length, 'files');
-        for (let i = 0; i < allFiles.length; i++) {
-            const file = allFiles[i];
-            const fileStats = fs.statSync(file);
-            const relativePath = path.relative(firstItem, file).replace(/\\/g, '/');
-            // OneDrive: onedrivePath/torrentName/relativePath
-            const fileOnedrivePath = torrentName + '/' + relativePath;
-            // KV: kvBasePath/torrentName/relativePath (不含日期)
-            const fileKvPath = kvBasePath ? kvBasePath + '/' + torrentName + '/' + relativePath : torrentName + '/' + relativePath;
-            
-            console.log('[' + (i + 1) + '/' + allFiles.length + '] Uploading:', relativePath);
-            
-            // 报告上传进度
-            if (reportProgress) {
-                const percent = Math.round((i / allFiles.length) * 100);
-                reportProgress({ 
-                    phase: 'uploading', 
-                    progress: `上传中 [${i + 1}/${allFiles.length}] ${relativePath}`,
-                    percent,
-                    fileIndex: i + 1,
-                    fileCount: allFiles.length,
-                    currentFile: relativePath
-                });
-            }
-            
-            const uploadResult = await uploadToOneDrive(file, fileOnedrivePath, fileStats.size, accessToken, onedrivePath);
-            uploadedFiles.push({ 
-                name: relativePath, 
-                size: fileStats.size,
-                itemId: uploadResult.itemId,
-                onedrivePath: uploadResult.path,
-                kvPath: fileKvPath
-            });
+        // 下载期间未加入队列的文件（如空文件、压缩包）在这里补上
+        // 只上传选中的文件（aria2 可能为边界分片写出未选中文件的片段）
+        const remaining = getAllFiles(firstItem).filter(file => isSelectedFile(fileList, path.relative(downloadDir, file)) && !queued.has(path.resolve(file)));
+        const { files, extracted, stagingDir } = await extractArchives(remaining, downloadDir, extraction, reportProgress);
+        files.forEach(file => enqueue(file));
+        extracted.forEach(e => enqueue(e.file, e.torrentPath, e.extractedFrom));
+        console.log('Multi-file:', queued.size, 'files,', filesDone, 'uploaded during download, upload concurrency', storage.uploadConcurrency);
+        uploads.close();
+        try {
+            await uploads.drain();
+        } finally {
+            if (stagingDir) fs.rmSync(stagingDir, { recursive: true, force: true });
         }
         // 上传完成
         if (reportProgress) {
-            reportProgress({ phase: 'completed', progress: `上传完成 ${allFiles.length} 个文件`, percent: 100 });
+            reportProgress({ phase: 'completed', progress: `上传完成 ${queued.size} 个文件`, percent: 100 });
         }
     } else {
+        // 单文件压缩包：解压出的文件放在 kvBasePath 下，保持压缩包内的目录结构
+        isMultiFile = false;
+        const { files, extracted, stagingDir } = await extractArchives([firstItem], downloadDir, extraction, reportProgress);
+        extracted.forEach(e => enqueue(e.file, e.torrentPath, e.extractedFrom));
+        uploads.close();
+        try {
+            await uploads.drain();
+        } finally {
+            if (stagingDir) fs.rmSync(stagingDir, { recursive: true, force: true });
+        }
+        if (files.length === 0) {
+            if (reportProgress) {
+                reportProgress({ phase: 'completed', progress: `上传完成 ${queued.size} 个文件`, percent: 100 });
+            }
+            return uploadedFiles;
+        }
         // 单文件：直接放在 kvBasePath 下
         const fileName = items[0];
         // KV: kvBasePath/fileName (不含日期)
@@ -300,13 +902,18 @@ async function normalDownloadAndUpload(magnet, trackers, downloadDir, totalSize,
         if (reportProgress) {
             reportProgress({ phase: 'uploading', progress: `上传中: ${fileName}`, percent: 0 });
         }
-        const uploadResult = await uploadToOneDrive(firstItem, fileName, stats.size, accessToken, onedrivePath, reportProgress);
+        const media = await mediaField(firstItem, probing);
+        const uploadResult = await uploadToStorage(firstItem, fileName, stats.size, storage, onedrivePath, reportProgress);
         uploadedFiles.push({ 
             name: fileName, 
             size: stats.size,
             itemId: uploadResult.itemId,
+            quickXorHash: uploadResult.quickXorHash,
+            alreadyExists: uploadResult.alreadyExists,
             onedrivePath: uploadResult.path,
-            kvPath: fileKvPath
+            kvPath: renamedPath(fileKvPath, uploadResult.path),
+            ...media,
+            ...await thumbnailsField(firstItem, fileName, storage, onedrivePath, kvBasePath, thumbnailing, media.media)
         });
         if (reportProgress) {
             reportProgress({ phase: 'completed', progress: '上传完成', percent: 100 });
@@ -315,459 +922,791 @@ async function normalDownloadAndUpload(magnet, trackers, downloadDir, totalSize,
     return uploadedFiles;
 }
 
-async function streamingDownloadAndUpload(magnet, trackers, downloadDir, totalSize, accessToken, onedrivePath, kvBasePath, maxTime, stallTimeout, reportProgress) {
+async function streamingDownloadAndUpload(source, trackers, downloadDir, fileList, storage, onedrivePath, kvBasePath, maxTime, stallTimeout, reportProgress, uploadedFiles = [], probing = null) {
     console.log('[Streaming] Starting download...');
-    const args = [magnet, '--dir=' + downloadDir, '--stream-piece-selector=inorder', '--bt-prioritize-piece=head', '--file-allocation=none', '--seed-time=0', '--max-connection-per-server=16', '--bt-max-peers=150', '--summary-interval=5'];
-    if (trackers) args.push('--bt-tracker=' + trackers);
-
-    const aria2 = spawn('aria2c', args);
-    let lastProgressTime = Date.now();
-    
-    aria2.stdout.on('data', (data) => {
-        const str = data.toString();
-        console.log(str);
-        const cnMatch = str.match(/CN:(\d+)/);
-        const progressMatch = str.match(/(\d+)%/);
-        if ((cnMatch && parseInt(cnMatch[1]) > 0) || progressMatch) {
-            lastProgressTime = Date.now();
-        }
+    const download = await startDownload(source, aria2Options(downloadDir, trackers, { 'stream-piece-selector': 'inorder', 'bt-prioritize-piece': 'head', ...selectFileOption(fileList) }), maxTime, stallTimeout, (status) => {
         // 报告进度
-        const progressInfo = parseAria2Progress(str);
-        if (progressInfo && reportProgress) {
+        const progressInfo = statusToProgress(status);
+        console.log(progressInfo.progress);
+        if (reportProgress) {
             reportProgress({ ...progressInfo, phase: 'streaming' });
         }
     });
-    aria2.stderr.on('data', (data) => console.error(data.toString()));
 
-    await sleep(5000);
+    let downloadFinished = false;
+    let downloadError = null;
+    download.done.then(() => { downloadFinished = true; }, (e) => { downloadError = e; });
 
-    let actualFileName = '';
-    for (let i = 0; i < 60; i++) {
-        const items = fs.readdirSync(downloadDir).filter(f => !f.endsWith('.torrent') && !f.endsWith('.aria2'));
-        if (items.length > 0 && fs.statSync(path.join(downloadDir, items[0])).isFile()) {
-            actualFileName = items[0];
-            break;
-        }
-        await sleep(1000);
-    }
-    if (!actualFileName) throw new Error('File not found');
+    try {
+        const files = await waitForFiles(download);
+        if (files.length === 0) throw downloadError || taskError(ERROR_CODES.DOWNLOAD_ERROR, 'File not found');
+        const pieceInfo = await download.client.tellStatus(download.gid, ['pieceLength']);
+        const pieceLength = parseInt(pieceInfo.pieceLength);
 
-    const uploadSession = await createUploadSession(accessToken, onedrivePath, actualFileName);
-    const uploadUrl = uploadSession.uploadUrl;
-    console.log('Upload session created');
+        // 文件开头起连续的已校验分片字节数；文件大小本身不代表数据已写入
+        const availableBytes = (start, size) => {
+            if (downloadFinished) return size;
+            return contiguousBytes(download.status?.bitfield, pieceLength, start, start + size);
+        };
+        // 阻塞直到文件前 needed 字节全部完成
+        const waitForBytes = async (start, size, needed) => {
+            while (availableBytes(start, size) < needed) {
+                if (downloadError) throw downloadError;
+                await sleep(POLL_INTERVAL);
+            }
+        };
 
-    let uploadedBytes = 0;
-    const uploadInterval = totalSize * 0.1;
+        const streamBytes = files.filter(f => f.selected !== 'false').reduce((sum, f) => sum + parseInt(f.length), 0);
+        let uploadedBefore = 0;
+        let fileOffset = 0;
+        for (const file of files) {
+            const size = parseInt(file.length);
+            const start = fileOffset;
+            fileOffset += size;
+            if (file.selected === 'false') continue;
 
-    const pollLoop = setInterval(async () => {
-        try {
-            const actualFile = path.join(downloadDir, actualFileName);
-            if (!fs.existsSync(actualFile)) return;
-            const downloadedBytes = fs.statSync(actualFile).size;
-            if (downloadedBytes - uploadedBytes >= uploadInterval || downloadedBytes >= totalSize) {
-                const uploadEnd = Math.min(downloadedBytes, totalSize);
-                while (uploadedBytes + CHUNK_SIZE <= uploadEnd) {
-                    const chunkEnd = Math.min(uploadedBytes + CHUNK_SIZE, uploadEnd);
-                    await uploadChunk(uploadUrl, actualFile, uploadedBytes, chunkEnd, totalSize);
-                    uploadedBytes = chunkEnd;
-                    console.log('Uploaded:', (uploadedBytes / 1024 / 1024).toFixed(0), 'MB');
-                }
-            }
-        } catch (e) { console.error('Poll error:', e.message); }
-    }, POLL_INTERVAL);
-
-    const stallChecker = setInterval(() => {
-        if (Date.now() - lastProgressTime > stallTimeout) {
-            clearInterval(stallChecker);
-            clearInterval(pollLoop);
-            aria2.kill();
-        }
-    }, 30000);
-
-    await new Promise((resolve, reject) => {
-        const maxTimer = setTimeout(() => { 
-            aria2.kill(); 
-            clearInterval(pollLoop); 
-            clearInterval(stallChecker);
-            reject(new Error('Max time exceeded')); 
-        }, maxTime);
-        
-        aria2.on('close', (code) => { 
-            clearTimeout(maxTimer); 
-            clearInterval(pollLoop); 
-            clearInterval(stallChecker);
-            if (Date.now() - lastProgressTime > stallTimeout) {
-                reject(new Error('No progress timeout'));
+            // 相对下载目录的路径保持磁力原有结构（多文件为 torrentName/...）
+            const relativePath = path.relative(downloadDir, file.path).replace(/\\/g, '/');
+            console.log('Streaming:', relativePath);
+
+            let uploadResult;
+            if (size === 0) {
+                // 空文件不占任何分片，aria2 在下载结束前不一定创建它：不读磁盘，直接上传空内容
+                uploadResult = await uploadToStorage(null, relativePath, 0, storage, onedrivePath);
+            } else if (size <= storage.smallFileLimit) {
+                await waitForBytes(start, size, size);
+                uploadResult = await uploadToStorage(file.path, relativePath, size, storage, onedrivePath);
             } else {
-                resolve();
+                const upload = createChunkedUpload(storage, onedrivePath + '/' + relativePath, size);
+                await upload.open();
+                console.log('Upload session created');
+                while (upload.offset < size) {
+                    const target = Math.min(upload.offset + CHUNK_SIZE, size);
+                    await waitForBytes(start, size, target);
+                    await upload.uploadTo(file.path, target, (uploadedBytes) => {
+                        console.log('Uploaded:', relativePath, (uploadedBytes / 1024 / 1024).toFixed(0), 'MB');
+                        // 报告上传进度
+                        if (reportProgress) {
+                            const overall = uploadedBefore + uploadedBytes;
+                            reportProgress({ 
+                                phase: 'streaming-upload', 
+                                progress: `流式上传 ${(overall / 1024 / 1024).toFixed(0)}MB / ${(streamBytes / 1024 / 1024).toFixed(0)}MB`,
+                                percent: Math.round((overall / streamBytes) * 100),
+                                uploaded: overall,
+                                totalBytes: streamBytes,
+                                currentFile: relativePath
+                            });
+                        }
+                    });
+                }
+                uploadResult = await finishStreamedUpload(storage, upload, onedrivePath + '/' + relativePath);
+                if (!uploadResult) {
+                    // 文件此时已完整下载，从本地文件重新上传
+                    await discardUpload(storage, upload.item);
+                    uploadResult = await uploadToStorage(file.path, relativePath, size, storage, onedrivePath);
+                }
             }
-        });
-    });
+            uploadedBefore += size;
 
-    const actualFile = path.join(downloadDir, actualFileName);
-    const finalSize = fs.statSync(actualFile).size;
-    let lastChunkResponse = null;
-    while (uploadedBytes < finalSize) {
-        const chunkEnd = Math.min(uploadedBytes + CHUNK_SIZE, finalSize);
-        lastChunkResponse = await uploadChunk(uploadUrl, actualFile, uploadedBytes, chunkEnd, finalSize);
-        uploadedBytes = chunkEnd;
-        // 报告上传进度
-        if (reportProgress) {
-            const percent = Math.round((uploadedBytes / finalSize) * 100);
-            reportProgress({ 
-                phase: 'streaming-upload', 
-                progress: `流式上传 ${(uploadedBytes / 1024 / 1024).toFixed(0)}MB / ${(finalSize / 1024 / 1024).toFixed(0)}MB`,
-                percent,
-                uploaded: uploadedBytes,
-                total: finalSize
+            // KV: kvBasePath/relativePath (不含日期)；文件此时已完整下载，可以探测
+            uploadedFiles.push({ 
+                name: relativePath, 
+                size,
+                itemId: uploadResult.itemId,
+                quickXorHash: uploadResult.quickXorHash,
+                alreadyExists: uploadResult.alreadyExists,
+                onedrivePath: uploadResult.path,
+                kvPath: renamedPath(kvBasePath ? kvBasePath + '/' + relativePath : relativePath, uploadResult.path),
+                ...size > 0 ? await mediaField(file.path, probing) : {}
             });
         }
+        await download.done;
+    } catch (e) {
+        download.stop();
+        throw e;
     }
+
     console.log('Upload complete!');
     if (reportProgress) {
         reportProgress({ phase: 'completed', progress: '上传完成', percent: 100 });
     }
-    
-    // 单文件流式上传
-    const fileKvPath = kvBasePath ? kvBasePath + '/' + actualFileName : actualFileName;
-    return [{ 
-        name: actualFileName, 
-        size: finalSize,
-        itemId: lastChunkResponse?.id || '',
-        onedrivePath: onedrivePath + '/' + actualFileName,
-        kvPath: fileKvPath
-    }];
-}
-
-async function sequentialDownloadAndUpload(magnet, trackers, downloadDir, torrentName, fileList, fileCount, accessToken, onedrivePath, kvBasePath, maxTime, stallTimeout, reportProgress) {
-    console.log('[Sequential] File-by-file download...');
-    const uploadedFiles = [];
+    return uploadedFiles;
+}
+
+// 直链流式上传：HTTP 响应直接写入上传会话，不落盘；连接中断时按 Range 续传
+async function httpStreamingUpload(source, fileName, totalSize, storage, onedrivePath, kvBasePath, maxTime, stallTimeout, reportProgress, uploadedFiles = []) {
+    console.log('[Streaming] HTTP stream to upload session...');
+    const upload = createChunkedUpload(storage, onedrivePath + '/' + fileName, totalSize);
+    await upload.open();
+    console.log('Upload session created');
+
     const startTime = Date.now();
-    
-    if (fileList.length === 0) {
-        console.log('Getting file list...');
-        if (reportProgress) {
-            reportProgress({ phase: 'metadata', progress: '获取文件列表...', percent: 0 });
+    // 恢复的上传会话从已确认的位置继续请求
+    let received = upload.offset;
+    let pending = [];
+    let pendingBytes = 0;
+    let uploading = false;
+    let uploadError = null;
+    let reconnects = 0;
+
+    // 上传缓冲区中的完整分片（final 时全部上传）
+    const flush = async (final) => {
+        const buffer = Buffer.concat(pending);
+        const size = final ? buffer.length : buffer.length - (buffer.length % CHUNK_SIZE);
+        uploading = true;
+        try {
+            await upload.uploadBuffer(buffer.subarray(0, size), (uploadedBytes) => {
+                console.log('Uploaded:', (uploadedBytes / 1024 / 1024).toFixed(0), 'MB');
+                if (reportProgress) {
+                    reportProgress({ 
+                        phase: 'streaming-upload', 
+                        progress: `流式上传 ${(uploadedBytes / 1024 / 1024).toFixed(0)}MB / ${(totalSize / 1024 / 1024).toFixed(0)}MB`,
+                        percent: Math.round((uploadedBytes / totalSize) * 100),
+                        uploaded: uploadedBytes,
+                        totalBytes: totalSize
+                    });
+                }
+            });
+        } catch (e) {
+            uploadError = e;
+            throw e;
+        } finally {
+            uploading = false;
         }
-        
-        const metaArgs = [magnet, '--dir=' + downloadDir, '--bt-metadata-only=true', '--bt-save-metadata=true', '--seed-time=0'];
-        if (trackers) metaArgs.push('--bt-tracker=' + trackers);
-        
-        await new Promise((resolve) => {
-            const aria2 = spawn('aria2c', metaArgs);
-            aria2.stdout.on('data', (data) => console.log(data.toString()));
-            aria2.stderr.on('data', (data) => console.error(data.toString()));
-            aria2.on('close', () => resolve());
-            setTimeout(() => { aria2.kill(); resolve(); }, 60000);
-        });
-        
-        const torrentFiles = fs.readdirSync(downloadDir).filter(f => f.endsWith('.torrent'));
-        if (torrentFiles.length === 0) throw new Error('No torrent file');
-        
+        pending = [buffer.subarray(size)];
+        pendingBytes = buffer.length - size;
+    };
+
+    while (received < totalSize) {
+        let watchdog = null;
         try {
-            const showFilesOutput = execSync('aria2c --show-files "' + path.join(downloadDir, torrentFiles[0]) + '"', { encoding: 'utf8', timeout: 30000 });
-            for (const line of showFilesOutput.split('\n')) {
-                const indexMatch = line.match(/^(\d+)\|/);
-                const pathMatch = line.match(/path=([^|]+)/);
-                const sizeMatch = line.match(/length=([\d]+)/);
-                if (indexMatch && pathMatch) fileList.push({ index: parseInt(indexMatch[1]), path: pathMatch[1], size: sizeMatch ? parseInt(sizeMatch[1]) : 0 });
+            const headers = received > 0 ? { Range: 'bytes=' + received + '-' } : {};
+            const response = await axios.get(source.uri, { responseType: 'stream', timeout: 60000, maxRedirects: 10, headers });
+            const stream = response.data;
+            if (received > 0 && response.status !== 206) {
+                stream.destroy();
+                throw taskError(ERROR_CODES.DOWNLOAD_ERROR, 'Server does not support resuming (HTTP ' + response.status + ')');
             }
-            fileCount = fileList.length;
+
+            let lastDataTime = Date.now();
+            watchdog = setInterval(() => {
+                if (uploading) lastDataTime = Date.now();
+                else if (Date.now() - lastDataTime > stallTimeout) stream.destroy(taskError(ERROR_CODES.STALLED, 'No progress for ' + (stallTimeout / 60000) + ' minutes'));
+                if (Date.now() - startTime > maxTime) stream.destroy(taskError(ERROR_CODES.MAX_TIME, 'Max time exceeded (' + (maxTime / 3600000) + 'h)'));
+            }, 10000);
+
+            for await (const data of stream) {
+                lastDataTime = Date.now();
+                pending.push(data);
+                pendingBytes += data.length;
+                received += data.length;
+                if (pendingBytes >= CHUNK_SIZE) await flush(false);
+            }
+            if (received < totalSize) throw new Error('Connection closed at byte ' + received);
         } catch (e) {
-            console.error('Failed to get file list:', e.message);
-            return normalDownloadAndUpload(magnet, trackers, downloadDir, 0, accessToken, onedrivePath, kvBasePath, maxTime, stallTimeout, reportProgress);
+            const status = e.response?.status;
+            const fatal = uploadError || e.taskCode || (status && status < 500 && status !== 408 && status !== 429);
+            if (fatal || ++reconnects > UPLOAD_MAX_RETRIES) throw e === uploadError ? e : sourceError(e);
+            const delay = retryDelay(e, reconnects);
+            console.error('HTTP stream interrupted (' + describeError(e) + '), resuming from byte ' + received + ' in ' + Math.round(delay / 1000) + 's');
+            await sleep(delay);
+        } finally {
+            clearInterval(watchdog);
         }
     }
-    
-    for (let i = 0; i < fileList.length; i++) {
-        if (Date.now() - startTime > maxTime) {
-            throw new Error('Max time exceeded');
-        }
-        
-        const fileInfo = fileList[i];
-        const fileName = path.basename(fileInfo.path);
-        console.log('[' + (i + 1) + '/' + fileCount + '] Downloading file', fileInfo.index);
-        
-        // 报告开始下载此文件
-        if (reportProgress) {
-            const overallPercent = Math.round((i / fileCount) * 100);
-            reportProgress({ 
-                phase: 'sequential-download', 
-                progress: `[${i + 1}/${fileCount}] 下载: ${fileName}`,
-                percent: overallPercent,
-                fileIndex: i + 1,
-                fileCount,
-                currentFile: fileName
-            });
-        }
-        
+    if (received !== totalSize) throw taskError(ERROR_CODES.DOWNLOAD_ERROR, 'Size mismatch: expected ' + totalSize + ', got ' + received);
+    await flush(true);
+    // 直链数据未落盘，无法重新上传
+    const uploadResult = await finishStreamedUpload(storage, upload, onedrivePath + '/' + fileName);
+    if (!uploadResult) {
+        await discardUpload(storage, upload.item);
+        throw taskError(ERROR_CODES.UPLOAD_ERROR, 'Hash mismatch for ' + fileName + ', HTTP stream cannot be re-uploaded');
+    }
+
+    console.log('Upload complete!');
+    if (reportProgress) {
+        reportProgress({ phase: 'completed', progress: '上传完成', percent: 100 });
+    }
+    uploadedFiles.push({ 
+        name: fileName, 
+        size: totalSize,
+        itemId: uploadResult.itemId,
+        quickXorHash: uploadResult.quickXorHash,
+        alreadyExists: uploadResult.alreadyExists,
+        onedrivePath: uploadResult.path,
+        kvPath: renamedPath(kvBasePath ? kvBasePath + '/' + fileName : fileName, uploadResult.path)
+    });
+    return uploadedFiles;
+}
+
+// 分批下载：每批选中的文件一次下载、上传后删除；超过可用空间的单个文件流式上传
+// 单个文件失败时按 fileErrors 重试（重新启动 aria2，连接新的 peer），用完重试次数后跳过或终止任务
+async function sequentialDownloadAndUpload(source, trackers, downloadDir, batches, storage, onedrivePath, kvBasePath, maxTime, stallTimeout, reportProgress, uploadedFiles = [], extraction = null, probing = null, thumbnailing = null, fileErrors = { retries: 0, skip: false, failed: [] }) {
+    console.log('[Sequential] Batch download,', batches.length, 'batches...');
+    const startTime = Date.now();
+    const fileCount = batches.reduce((sum, b) => sum + b.files.length, 0);
+    const retryFile = createFileRetries(fileErrors);
+    let filesDone = 0;
+
+    const remainingTime = () => {
+        const remaining = maxTime - (Date.now() - startTime);
+        if (remaining <= 0) throw taskError(ERROR_CODES.MAX_TIME, 'Max time exceeded');
+        return remaining;
+    };
+
+    for (let b = 0; b < batches.length; b++) {
+        const batch = batches[b];
+        remainingTime();
+        const batchLabel = '[' + (b + 1) + '/' + batches.length + ']';
+
         // Clean up
         fs.readdirSync(downloadDir).filter(f => !f.endsWith('.torrent')).forEach(f => {
-            const fp = path.join(downloadDir, f);
-            fs.statSync(fp).isDirectory() ? fs.rmSync(fp, { recursive: true, force: true }) : fs.unlinkSync(fp);
+            fs.rmSync(path.join(downloadDir, f), { recursive: true, force: true });
         });
-        
-        const args = [magnet, '--dir=' + downloadDir, '--select-file=' + fileInfo.index, '--file-allocation=none', '--seed-time=0', '--max-connection-per-server=16', '--bt-max-peers=150', '--summary-interval=5'];
-        if (trackers) args.push('--bt-tracker=' + trackers);
-
-        await new Promise((resolve, reject) => {
-            const aria2 = spawn('aria2c', args);
-            let lastProgressTime = Date.now();
-            
-            const remainingTime = maxTime - (Date.now() - startTime);
-            const perFileTime = Math.max(remainingTime / (fileCount - i) * 2, stallTimeout * 2);
-            
-            const maxTimer = setTimeout(() => { 
-                aria2.kill(); 
-                reject(new Error('File timeout')); 
-            }, perFileTime);
-            
-            const stallChecker = setInterval(() => {
-                if (Date.now() - lastProgressTime > stallTimeout) {
-                    clearInterval(stallChecker);
-                    clearTimeout(maxTimer);
-                    aria2.kill();
-                    reject(new Error('No progress for file ' + fileInfo.index));
+
+        if (batch.stream) {
+            const file = batch.files[0];
+            console.log(batchLabel, 'Streaming file', file.index, file.path);
+            // 单个文件的完成状态不上报，全部批次结束后统一上报
+            const reportStreaming = reportProgress && ((data) => { if (data.phase !== 'completed') reportProgress(data); });
+            // 文件上传完成后才记录：上传完成但之后下载报错时不再重试，避免重复上传和重复记录
+            const streamed = [];
+            const fileStorage = withOpenSessions(storage);
+            for (;;) {
+                const remaining = remainingTime();
+                try {
+                    await streamingDownloadAndUpload(source, trackers, downloadDir, batch.files, fileStorage, onedrivePath, kvBasePath, remaining, stallTimeout, reportStreaming, streamed, probing);
+                    break;
+                } catch (e) {
+                    if (streamed.length > 0) {
+                        console.error(batchLabel, 'Download failed after the upload completed (' + e.message + '), keeping the uploaded file');
+                        break;
+                    }
+                    const retrying = retryFile(file, e);
+                    await fileStorage.abortOpen();
+                    if (!retrying) break;
+                    console.error(batchLabel, 'Streaming failed (' + e.message + '), retrying with fresh peers');
                 }
-            }, 30000);
-            
-            aria2.stdout.on('data', (data) => {
-                const str = data.toString();
-                console.log(str);
-                const cnMatch = str.match(/CN:(\d+)/);
-                if (cnMatch && parseInt(cnMatch[1]) > 0) lastProgressTime = Date.now();
-                // 报告进度
-                const progressInfo = parseAria2Progress(str);
-                if (progressInfo && reportProgress) {
+            }
+            uploadedFiles.push(...streamed);
+            filesDone += 1;
+            continue;
+        }
+
+        // 每轮下载本批中尚未完成的文件；下载失败时已完成的文件照常上传，其余文件进入下一轮
+        let pending = batch.files;
+        while (pending.length > 0) {
+            const remaining = remainingTime();
+            console.log(batchLabel, 'Downloading', pending.length, 'files,', (pending.reduce((sum, f) => sum + f.size, 0) / 1024 / 1024).toFixed(0), 'MB');
+            // 报告开始下载此批
+            if (reportProgress) {
+                reportProgress({ 
+                    phase: 'sequential-download', 
+                    progress: `${batchLabel} 下载 ${pending.length} 个文件`,
+                    percent: Math.round((filesDone / fileCount) * 100),
+                    batchIndex: b + 1,
+                    batchCount: batches.length,
+                    fileIndex: filesDone + 1,
+                    fileCount
+                });
+            }
+
+            const perBatchTime = Math.max(remaining / (batches.length - b) * 2, stallTimeout * 2);
+            let download = null;
+            let downloadError = null;
+            try {
+                download = await startDownload(source, aria2Options(downloadDir, trackers, selectFileOption(pending)), Math.min(perBatchTime, remaining), stallTimeout, (status) => {
+                    // 报告进度
+                    const progressInfo = statusToProgress(status);
+                    console.log(progressInfo.progress);
+                    if (reportProgress) {
+                        reportProgress({ 
+                            ...progressInfo, 
+                            phase: 'sequential-download', 
+                            batchIndex: b + 1,
+                            batchCount: batches.length,
+                            fileIndex: filesDone + 1, 
+                            fileCount,
+                            progress: `${batchLabel} ${progressInfo.progress}`
+                        });
+                    }
+                });
+                await download.done;
+            } catch (e) {
+                downloadError = e;
+            }
+
+            let completed = pending;
+            if (downloadError) {
+                const finished = new Set(completedTorrentFiles(download?.status || {}, downloadDir).map(f => path.resolve(f)));
+                completed = pending.filter(f => finished.has(path.resolve(downloadDir, f.path)));
+                const incomplete = pending.filter(f => !completed.includes(f));
+                console.error(batchLabel, 'Download failed (' + downloadError.message + '),', incomplete.length, 'files incomplete');
+                pending = incomplete.filter(f => retryFile(f, downloadError));
+                filesDone += incomplete.length - pending.length;
+                if (pending.length > 0) console.log(batchLabel, 'Retrying', pending.length, 'files with fresh peers');
+            } else {
+                pending = [];
+            }
+
+            // 只解压分卷全部在本轮中的压缩包
+            const { files, extracted, stagingDir } = await extractArchives(completed.map(f => path.join(downloadDir, f.path)), downloadDir, extraction, reportProgress);
+            const byPath = new Map(completed.map(f => [f.path, f]));
+            const batchItems = [
+                ...files.map(filePath => {
+                    const relativePath = path.relative(downloadDir, filePath).replace(/\\/g, '/');
+                    return { filePath, relativePath, extractedFrom: '', file: byPath.get(relativePath) };
+                }),
+                ...extracted.map(e => ({ filePath: e.file, relativePath: e.torrentPath, extractedFrom: e.extractedFrom }))
+            ];
+
+            let started = filesDone;
+            await runPool(batchItems, storage.uploadConcurrency, async ({ filePath, relativePath, extractedFrom, file }) => {
+                // relativePath 相对于 downloadDir，保持磁力原有结构
+                const fileIndex = ++started;
+                const entry = file || { path: relativePath, size: null, index: null };
+                if (!fs.existsSync(filePath)) {
+                    // aria2 报告完成但文件不存在：重新下载
+                    console.error('Cannot find file:', relativePath);
+                    if (retryFile(entry, taskError(ERROR_CODES.DOWNLOAD_ERROR, 'File not found after download')) && file) pending.push(file);
+                    else filesDone++;
+                    return;
+                }
+                const fileSize = fs.statSync(filePath).size;
+
+                console.log('[' + fileIndex + '/' + fileCount + '] Uploading:', relativePath);
+                // 报告开始上传此文件
+                if (reportProgress) {
                     reportProgress({ 
-                        ...progressInfo, 
-                        phase: 'sequential-download', 
-                        fileIndex: i + 1, 
+                        phase: 'sequential-upload', 
+                        progress: `[${fileIndex}/${fileCount}] 上传: ${path.basename(relativePath)}`,
+                        percent: Math.round(((filesDone + 0.5) / fileCount) * 100),
+                        batchIndex: b + 1,
+                        batchCount: batches.length,
+                        fileIndex,
                         fileCount,
-                        currentFile: fileName,
-                        progress: `[${i + 1}/${fileCount}] ${progressInfo.progress}`
+                        currentFile: relativePath
                     });
                 }
-            });
-            aria2.stderr.on('data', (data) => console.error(data.toString()));
-            aria2.on('close', (code) => { 
-                clearTimeout(maxTimer); 
-                clearInterval(stallChecker);
-                code === 0 ? resolve() : reject(new Error('Download failed')); 
-            });
-        });
 
-        const downloadedItems = fs.readdirSync(downloadDir).filter(f => !f.endsWith('.torrent') && !f.endsWith('.aria2'));
-        if (downloadedItems.length === 0) { console.error('File not found'); continue; }
-        
-        let actualFilePath = '';
-        const firstItem = path.join(downloadDir, downloadedItems[0]);
-        if (fs.statSync(firstItem).isDirectory()) {
-            const allFiles = getAllFiles(firstItem);
-            if (allFiles.length > 0) actualFilePath = allFiles[0];
-        } else {
-            actualFilePath = firstItem;
-        }
-        
-        if (!actualFilePath || !fs.existsSync(actualFilePath)) { console.error('Cannot find file'); continue; }
-        
-        const actualFileStats = fs.statSync(actualFilePath);
-        // relativePath 是相对于 downloadDir 的路径，保持磁力原有结构
-        const relativePath = path.relative(downloadDir, actualFilePath).replace(/\\/g, '/');
-        
-        console.log('Uploading:', relativePath);
-        
-        // 报告开始上传此文件
-        if (reportProgress) {
-            const overallPercent = Math.round(((i + 0.5) / fileCount) * 100);
-            reportProgress({ 
-                phase: 'sequential-upload', 
-                progress: `[${i + 1}/${fileCount}] 上传: ${fileName}`,
-                percent: overallPercent,
-                fileIndex: i + 1,
-                fileCount,
-                currentFile: fileName
+                // OneDrive: onedrivePath/relativePath
+                // KV: kvBasePath/relativePath (不含日期)
+                const fileKvPath = kvBasePath ? kvBasePath + '/' + relativePath : relativePath;
+                const fileStorage = withOpenSessions(storage);
+                for (;;) {
+                    try {
+                        const media = await mediaField(filePath, probing);
+                        const uploadResult = await uploadToStorage(filePath, relativePath, fileSize, fileStorage, onedrivePath);
+                        uploadedFiles.push({ 
+                            name: relativePath, 
+                            size: fileSize,
+                            itemId: uploadResult.itemId,
+                            quickXorHash: uploadResult.quickXorHash,
+                            alreadyExists: uploadResult.alreadyExists,
+                            onedrivePath: uploadResult.path,
+                            kvPath: renamedPath(fileKvPath, uploadResult.path),
+                            extractedFrom,
+                            ...media,
+                            ...await thumbnailsField(filePath, relativePath, storage, onedrivePath, kvBasePath, thumbnailing, media.media)
+                        });
+                        break;
+                    } catch (e) {
+                        const retrying = retryFile(entry, e);
+                        await fileStorage.abortOpen();
+                        if (!retrying) break;
+                        console.error('Upload of', relativePath, 'failed (' + e.message + '), retrying');
+                    }
+                }
+                // 上传后立即删除，为后续批次腾出空间
+                fs.unlinkSync(filePath);
+                filesDone++;
+            }).finally(() => {
+                if (stagingDir) fs.rmSync(stagingDir, { recursive: true, force: true });
             });
         }
-        
-        // OneDrive: onedrivePath/relativePath
-        // KV: kvBasePath/relativePath (不含日期)
-        const fileKvPath = kvBasePath ? kvBasePath + '/' + relativePath : relativePath;
-        
-        const uploadResult = await uploadToOneDrive(actualFilePath, relativePath, actualFileStats.size, accessToken, onedrivePath);
-        uploadedFiles.push({ 
-            name: relativePath, 
-            size: actualFileStats.size,
-            itemId: uploadResult.itemId,
-            onedrivePath: uploadResult.path,
-            kvPath: fileKvPath
-        });
-        
-        // Delete uploaded file
-        downloadedItems.forEach(f => {
-            const fp = path.join(downloadDir, f);
-            fs.statSync(fp).isDirectory() ? fs.rmSync(fp, { recursive: true, force: true }) : fs.unlinkSync(fp);
-        });
-        console.log('[' + (i + 1) + '/' + fileCount + '] Done');
+        console.log(batchLabel, 'Done');
     }
     
     // 报告全部完成
+    const failed = fileErrors.failed.length;
     if (reportProgress) {
-        reportProgress({ phase: 'completed', progress: `全部完成 ${uploadedFiles.length} 个文件`, percent: 100 });
+        reportProgress({ phase: 'completed', progress: `全部完成 ${uploadedFiles.length} 个文件` + (failed ? `，${failed} 个失败` : ''), percent: 100 });
     }
     
-    console.log('All', uploadedFiles.length, 'files uploaded!');
+    console.log('All', uploadedFiles.length, 'files uploaded!' + (failed ? ' ' + failed + ' files failed.' : ''));
     return uploadedFiles;
 }
 
-async function uploadToOneDrive(filePath, fileName, fileSize, accessToken, basePath, reportProgress = null) {
+// 单个文件的失败处理：还有重试次数时返回 true；用完后按策略记入 fileErrors.failed 并返回 false，或抛出错误终止任务
+// 认证失败和磁盘已满会影响所有文件，直接终止
+function createFileRetries(fileErrors) {
+    const attempts = new Map();
+    return (file, err) => {
+        const count = (attempts.get(file.path) || 0) + 1;
+        attempts.set(file.path, count);
+        const code = classifyError(err);
+        if (code === ERROR_CODES.AUTH_ERROR || code === ERROR_CODES.DISK_FULL) throw err;
+        if (count <= fileErrors.retries) return true;
+        if (!fileErrors.skip) throw err;
+        console.error('Giving up on', file.path, 'after', count, 'attempts:', err.message);
+        fileErrors.failed.push({ path: file.path, size: file.size, index: file.index, reason: code, error: err.message, attempts: count });
+        return false;
+    };
+}
+
+// 存储装饰器：记录单个文件上传中打开且未完成的会话。文件重试或记为失败时 abortOpen 放弃这些会话
+// （OneDrive 上传地址、S3 分片上传），不在存储端遗留；任务因错误终止时不调用，会话保留在清单中供 resume 续传
+function withOpenSessions(storage) {
+    const openSessions = new Set();
+    return {
+        ...storage,
+        initSession: async (...args) => {
+            const session = await storage.initSession(...args);
+            openSessions.add(session);
+            return session;
+        },
+        finalize: async (session) => {
+            const item = await storage.finalize(session);
+            openSessions.delete(session);
+            return item;
+        },
+        abort: async (session) => {
+            openSessions.delete(session);
+            await storage.abort(session);
+        },
+        abortOpen: async () => {
+            const sessions = [...openSessions];
+            openSessions.clear();
+            await Promise.all(sessions.map(session => storage.abort(session).catch(e => {
+                console.error('Cannot abort upload session for', session.remotePath || '', describeError(e));
+            })));
+        }
+    };
+}
+
+// 上传文件，返回 { itemId, path（实际写入的路径）, quickXorHash, alreadyExists }；
+// 开启 verify 时校验存储端哈希，不一致则删除后重新上传
+async function uploadToStorage(filePath, fileName, fileSize, storage, basePath, reportProgress = null) {
     const safeName = fileName.replace(/\\/g, '/');
     const fullPath = basePath + '/' + safeName;
-    
-    if (fileSize <= 4 * 1024 * 1024) {
-        // 小文件直接上传
-        const response = await axios.put(
-            'https://graph.microsoft.com/v1.0/me/drive/root:/' + fullPath + ':/content',
-            fs.readFileSync(filePath),
-            { headers: { 'Authorization': 'Bearer ' + accessToken } }
-        );
-        return { itemId: response.data.id, path: fullPath };
-    } else {
-        // 大文件分片上传
-        const session = await createUploadSession(accessToken, basePath, safeName);
-        let uploaded = 0;
-        let lastResponse = null;
-        let lastReportedPercent = 0;
-        while (uploaded < fileSize) {
-            const end = Math.min(uploaded + CHUNK_SIZE, fileSize);
-            lastResponse = await uploadChunk(session.uploadUrl, filePath, uploaded, end, fileSize);
-            uploaded = end;
-            const percent = Math.round((uploaded / fileSize) * 100);
-            if (uploaded % (100 * 1024 * 1024) < CHUNK_SIZE) console.log('Progress:', (uploaded / 1024 / 1024).toFixed(0), 'MB');
-            // Report progress (throttling handled by createProgressReporter)
-            if (reportProgress) {
-                reportProgress({ 
-                    phase: 'uploading', 
-                    progress: `上传中 ${(uploaded / 1024 / 1024).toFixed(0)}MB / ${(fileSize / 1024 / 1024).toFixed(0)}MB`,
-                    percent
-                });
-            }
+
+    if (storage.existingFiles?.has(sanitizePath(fullPath))) {
+        const identical = findIdentical(storage, fullPath, fileSize === 0 ? quickXorHash(Buffer.alloc(0)) : await hashFile(filePath));
+        if (identical) return identical;
+    }
+
+    for (let attempt = 1; ; attempt++) {
+        const result = await uploadFileOnce(filePath, fullPath, fileSize, storage, reportProgress);
+        if (await verifyUploadedHash(storage, result.item, result.quickXorHash, fullPath)) {
+            return { itemId: result.item?.id || '', path: result.item?.path || fullPath, quickXorHash: result.quickXorHash, alreadyExists: false };
+        }
+        await discardUpload(storage, result.item);
+        if (attempt > VERIFY_MAX_RETRIES) {
+            throw taskError(ERROR_CODES.UPLOAD_ERROR, 'Hash mismatch after ' + attempt + ' uploads: ' + fullPath);
         }
-        // 最后一个分片的响应包含文件信息
-        return { itemId: lastResponse?.id || '', path: fullPath };
+        console.error('Re-uploading', fullPath, '(' + attempt + '/' + VERIFY_MAX_RETRIES + ')');
     }
 }
 
-async function createUploadSession(accessToken, basePath, fileName) {
-    const safeName = fileName.replace(/\\/g, '/');
-    const response = await axios.post('https://graph.microsoft.com/v1.0/me/drive/root:/' + basePath + '/' + safeName + ':/createUploadSession', { item: { '@microsoft.graph.conflictBehavior': 'rename' } }, { headers: { 'Authorization': 'Bearer ' + accessToken } });
-    return response.data;
+async function uploadFileOnce(filePath, fullPath, fileSize, storage, reportProgress) {
+    if (fileSize <= storage.smallFileLimit) {
+        // 小文件直接上传；空文件不读磁盘（流式模式下可能尚未创建）
+        const buffer = fileSize === 0 ? Buffer.alloc(0) : fs.readFileSync(filePath);
+        const item = await withRetry('Upload ' + fullPath, () => storage.putFile(fullPath, buffer, uploadConflictBehavior(storage)));
+        return { item, quickXorHash: storage.verifyHashes ? quickXorHash(buffer) : '' };
+    }
+    // 大文件分片上传
+    const upload = createChunkedUpload(storage, fullPath, fileSize);
+    await upload.open();
+    await upload.uploadTo(filePath, fileSize, (uploaded) => {
+        const percent = Math.round((uploaded / fileSize) * 100);
+        if (uploaded % (100 * 1024 * 1024) < CHUNK_SIZE) console.log('Progress:', (uploaded / 1024 / 1024).toFixed(0), 'MB');
+        // Report progress (throttling handled by createProgressReporter)
+        if (reportProgress) {
+            reportProgress({ 
+                phase: 'uploading', 
+                progress: `上传中 ${(uploaded / 1024 / 1024).toFixed(0)}MB / ${(fileSize / 1024 / 1024).toFixed(0)}MB`,
+                percent
+            });
+        }
+    });
+    return { item: upload.item, quickXorHash: upload.quickXorHash };
 }
 
-async function uploadChunk(uploadUrl, filePath, start, end, totalSize) {
-    const fd = fs.openSync(filePath, 'r');
-    const buffer = Buffer.alloc(end - start);
-    fs.readSync(fd, buffer, 0, end - start, start);
-    fs.closeSync(fd);
-    const response = await axios.put(uploadUrl, buffer, { headers: { 'Content-Length': end - start, 'Content-Range': 'bytes ' + start + '-' + (end - 1) + '/' + totalSize }, maxBodyLength: Infinity, maxContentLength: Infinity });
-    return response.data; // 返回响应数据，最后一个分片包含文件信息
+// 分片上传（流式）完成后：与存储端已有文件内容相同时删除刚上传的副本，沿用已有文件；
+// 返回 uploadToStorage 格式的结果，哈希校验失败返回 null
+async function finishStreamedUpload(storage, upload, remotePath) {
+    const identical = findIdentical(storage, remotePath, upload.quickXorHash);
+    if (identical) {
+        await discardUpload(storage, upload.item);
+        return identical;
+    }
+    if (!await verifyUploadedHash(storage, upload.item, upload.quickXorHash, remotePath)) return null;
+    return { itemId: upload.item?.id || '', path: upload.item?.path || remotePath, quickXorHash: upload.quickXorHash, alreadyExists: false };
 }
 
-async function refreshAccessToken(clientId, clientSecret, tenantId, refreshToken) {
-    const response = await axios.post('https://login.microsoftonline.com/' + tenantId + '/oauth2/v2.0/token', new URLSearchParams({ client_id: clientId, client_secret: clientSecret, refresh_token: refreshToken, grant_type: 'refresh_token' }), { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } });
-    return response.data.access_token;
+// conflict_behavior = skip 时大小一致、需比较哈希的已有文件：内容相同则返回已有文件（alreadyExists），否则返回 null
+function findIdentical(storage, remotePath, localHash) {
+    const existing = storage.existingFiles?.get(sanitizePath(remotePath));
+    if (!existing || !localHash || existing.quickXorHash !== localHash) return null;
+    console.log('  Exists (same hash):', remotePath);
+    return { itemId: existing.item.id || '', path: existing.item.path || remotePath, quickXorHash: localHash, alreadyExists: true };
 }
 
-function sleep(ms) { return new Promise(resolve => setTimeout(resolve, ms)); }
+async function hashFile(filePath) {
+    const hasher = createQuickXorHash();
+    for await (const data of fs.createReadStream(filePath)) hasher.update(data);
+    return hasher.digest();
+}
 
-// 清理文件夹名（移除特殊字符）
-function sanitizeFolderName(name) {
-    if (!name) return '';
-    
-    let cleaned = name
-        .replace(/[<>:"/\\|?*\x00-\x1f]/g, '')  // 移除 Windows/OneDrive 不允许的字符
-        .replace(/\s+/g, ' ')                    // 多个空格合并
-        .replace(/^\.+/, '')                     // 移除开头的点
-        .trim()
-        .substring(0, 200);                      // 限制长度
-    
-    return cleaned || '';
+// rename 时存储端只改文件名：把请求的路径（如 kvPath）中的文件名换成实际写入的文件名
+function renamedPath(requestedPath, uploadedPath) {
+    const name = path.posix.basename(uploadedPath);
+    if (sanitizePath(path.posix.basename(requestedPath)) === name) return requestedPath;
+    const dir = path.posix.dirname(requestedPath);
+    return dir === '.' ? name : dir + '/' + name;
 }
 
-// 创建进度报告器 (带并发控制和重试机制)
-function createProgressReporter(progressUrl, taskId) {
-    let lastReportedPercent = -100;
-    let lastPhase = '';
-    let isReporting = false;
-    let nextReport = null;
-    
-    // 实际发送请求的函数
-    const processQueue = async () => {
-        if (isReporting || !nextReport) return;
-        
-        isReporting = true;
-        const data = nextReport;
-        nextReport = null; // 清空队列，只处理最新的
-        
+// skip 模式下已存在的文件在规划前就被跳过，剩余文件按 rename 上传
+function uploadConflictBehavior(storage) {
+    return storage.conflictBehavior === 'skip' ? 'rename' : storage.conflictBehavior;
+}
+
+// 比较本地计算的 QuickXorHash 与存储端哈希；未开启或存储端不提供哈希时视为通过
+async function verifyUploadedHash(storage, item, localHash, label) {
+    if (!storage.verifyHashes || !localHash || !item) return true;
+    let remoteHash;
+    try {
+        remoteHash = await withRetry('Get hash ' + label, () => storage.getHash(item));
+    } catch (e) {
+        console.error('Hash lookup failed for', label + ':', describeError(e));
+        return true;
+    }
+    if (!remoteHash) {
+        console.log('No remote hash for', label + ', verification skipped');
+        return true;
+    }
+    if (remoteHash === localHash) {
+        console.log('Hash verified:', label, localHash);
+        return true;
+    }
+    console.error('Hash mismatch for', label + ': local', localHash, 'remote', remoteHash);
+    return false;
+}
+
+async function discardUpload(storage, item) {
+    try {
+        await storage.removeItem(item);
+    } catch (e) {
+        console.error('Failed to remove corrupted upload:', describeError(e));
+    }
+}
+
+// 可恢复的分片上传：失败按指数退避重试（遵循 Retry-After），
+// 以存储端确认的位置续传，会话失效则重建会话从头上传
+function createChunkedUpload(storage, remotePath, totalSize) {
+    const upload = {
+        session: null,
+        offset: 0,     // 存储端已确认接收的字节数
+        item: null,    // 完成后的文件信息（含 id）
+        quickXorHash: ''
+    };
+    // 读取分片时顺序计算哈希（开启 verify，或需要与存储端已有文件比较）；续传回退时已计算过的部分不再重复
+    let hasher = storage.verifyHashes || storage.existingFiles?.has(sanitizePath(remotePath)) ? createQuickXorHash() : null;
+    let hashedUpTo = 0;
+
+    upload.open = async () => {
+        upload.session = await withRetry('Create upload session', () => storage.initSession(remotePath, totalSize, uploadConflictBehavior(storage)));
+        upload.offset = 0;
+        // 从任务清单恢复的会话：以存储端确认的位置为准，失效则重建
+        if (upload.session.resumed) {
+            const offset = await storage.getOffset(upload.session).catch(e => {
+                console.error('Saved upload session status failed:', describeError(e));
+                return null;
+            });
+            if (offset === null) {
+                console.log('Saved upload session expired, creating a new one...');
+                await storage.abort(upload.session).catch(() => {});
+                return upload.open();
+            }
+            upload.offset = offset;
+            console.log('Resuming upload from byte', upload.offset);
+        }
+    };
+
+    // 失败后恢复：查询已接收位置，会话不存在则重建；状态未知时保持当前位置重试
+    const recover = async () => {
+        let offset;
         try {
-            console.log(`Reporting progress (${data.phase}): ${data.percent}%`);
-            await axios.post(progressUrl, { taskId, ...data }, { timeout: 10000 }); // 增加超时到10s
-            console.log('Progress reported successfully');
-            
-            // 只有成功才更新标记
-            lastReportedPercent = data.percent || 0;
-            lastPhase = data.phase;
+            offset = await storage.getOffset(upload.session);
         } catch (e) {
-            console.error('Progress report failed:', e.message);
-            // 失败不更新 lastReportedPercent，下次有机会重试
-        } finally {
-            isReporting = false;
-            // 如果在发送期间有新数据进来，继续处理
-            if (nextReport) processQueue();
+            console.error('Upload session status failed:', describeError(e));
+            return;
+        }
+        if (offset !== null) {
+            upload.offset = offset;
+            console.log('Resuming upload from byte', upload.offset);
+            return;
         }
+        console.log('Upload session expired, creating a new one...');
+        await storage.abort(upload.session).catch(() => {});
+        await upload.open();
     };
 
-    return (data) => {
-        if (!progressUrl || !taskId) return;
-
-        // 阶段变化强制重置
-        if (data.phase !== lastPhase && lastPhase !== '') {
-            lastReportedPercent = -100;
+    // 上传到 end 字节为止，readRange(start, end) 提供数据（可异步），onProgress 在每个分片成功后调用；
+    // 当前分片上传时预读下一个分片
+    const uploadRange = async (readRange, end, onProgress) => {
+        let attempt = 0;
+        let prefetch = null;
+        while (upload.offset < end) {
+            const start = upload.offset;
+            const chunkEnd = Math.min(start + CHUNK_SIZE, end);
+            const buffer = prefetch && prefetch.start === start && prefetch.end === chunkEnd
+                ? await prefetch.data
+                : await readRange(start, chunkEnd);
+            prefetch = null;
+            if (chunkEnd < end) {
+                const nextEnd = Math.min(chunkEnd + CHUNK_SIZE, end);
+                prefetch = { start: chunkEnd, end: nextEnd, data: Promise.resolve().then(() => readRange(chunkEnd, nextEnd)) };
+                prefetch.data.catch(() => {}); // 未使用的预读失败不影响上传
+            }
+            if (hasher && start <= hashedUpTo && chunkEnd > hashedUpTo) {
+                hasher.update(buffer.subarray(hashedUpTo - start));
+                hashedUpTo = chunkEnd;
+            }
+            try {
+                await storage.putChunk(upload.session, buffer, start);
+                upload.offset = chunkEnd;
+                attempt = 0;
+                if (onProgress) onProgress(upload.offset);
+            } catch (e) {
+                if (!isRetryableError(e) || ++attempt > UPLOAD_MAX_RETRIES) throw e;
+                const delay = retryDelay(e, attempt);
+                console.error('Chunk ' + start + '-' + chunkEnd + ' failed (' + describeError(e) + '), retry ' + attempt + '/' + UPLOAD_MAX_RETRIES + ' in ' + Math.round(delay / 1000) + 's');
+                await sleep(delay);
+                await recover();
+            }
+        }
+        if (upload.offset === totalSize && !upload.item) {
+            upload.item = await storage.finalize(upload.session);
+            if (hasher) upload.quickXorHash = hasher.digest();
         }
+    };
 
-        const currentPercent = data.percent || 0;
-        const isUpload = data.phase && data.phase.includes('upload');
-        const threshold = isUpload ? 35 : 10;
-        
-        // 关键事件强制上报：完成、元数据、或者达到阈值
-        const isImportant = 
-            data.phase === 'completed' || 
-            data.phase === 'metadata' ||
-            data.phase !== lastPhase || 
-            (currentPercent - lastReportedPercent >= threshold);
+    upload.uploadTo = async (filePath, end, onProgress = null) => {
+        // 续传的会话：补算已上传部分的哈希
+        while (hasher && hashedUpTo < upload.offset) {
+            const chunkEnd = Math.min(hashedUpTo + CHUNK_SIZE, upload.offset);
+            hasher.update(await readFileRange(filePath, hashedUpTo, chunkEnd));
+            hashedUpTo = chunkEnd;
+        }
+        return uploadRange((start, chunkEnd) => readFileRange(filePath, start, chunkEnd), end, onProgress);
+    };
 
-        if (isImportant) {
-            nextReport = data;
-            processQueue();
+    // 上传内存中紧接当前 offset 的数据；会话重建后无法回溯，直接报错
+    upload.uploadBuffer = (buffer, onProgress = null) => {
+        const base = upload.offset;
+        if (hasher && hashedUpTo < base) {
+            console.log('Upload resumed from byte', base + ', hash verification skipped');
+            hasher = null;
         }
+        return uploadRange((start, chunkEnd) => {
+            if (start < base) throw taskError(ERROR_CODES.UPLOAD_ERROR, 'Upload session lost during HTTP streaming');
+            return buffer.subarray(start - base, chunkEnd - base);
+        }, base + buffer.length, onProgress);
     };
+
+    return upload;
 }
 
-// 解析 aria2c 输出中的进度信息
-function parseAria2Progress(str) {
-    // [#ae93e1 468MiB/1.7GiB(26%) CN:37 SD:6 DL:19MiB ETA:1m6s]
-    const match = str.match(/\[#\w+\s+([\d.]+\w+)\/([\d.]+\w+)\((\d+)%\).*?DL:([\d.]+\w+).*?ETA:([^\]]+)\]/);
-    if (match) {
-        return {
-            downloaded: match[1],
-            total: match[2],
-            percent: parseInt(match[3]),
-            speed: match[4],
-            eta: match[5],
-            progress: `${match[1]}/${match[2]} (${match[3]}%) DL:${match[4]} ETA:${match[5]}`
-        };
+async function readFileRange(filePath, start, end) {
+    const file = await fs.promises.open(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(end - start);
+        await file.read(buffer, 0, end - start, start);
+        return buffer;
+    } finally {
+        await file.close();
     }
-    return null;
 }
 
-main().catch(err => { console.error('Fatal error:', err); process.exit(1); });
+function sleep(ms) { return new Promise(resolve => setTimeout(resolve, ms)); }
+
+// 可重试的请求错误：网络错误、超时、限流、5xx，以及会话失效/范围不符（需查询会话状态）
+function isRetryableError(err) {
+    const status = err.response?.status;
+    if (err.code === 'EEXIST' || err.taskCode === ERROR_CODES.CANCELLED) return false;
+    if (!status) return true;
+    return status >= 500 || [404, 408, 416, 429].includes(status);
+}
+
+// 重试等待时间：优先 Retry-After，否则指数退避（上限 60s）加抖动
+function retryDelay(err, attempt) {
+    const retryAfter = parseInt(err.response?.headers?.['retry-after']);
+    if (retryAfter > 0) return retryAfter * 1000;
+    return Math.min(1000 * Math.pow(2, attempt), 60000) + Math.floor(Math.random() * 1000);
+}
+
+function describeError(err) {
+    return err.response ? 'HTTP ' + err.response.status : (err.code || err.message);
+}
+
+// 通用重试（不含会话恢复），用于创建会话、小文件上传等单次请求
+async function withRetry(label, request) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await request();
+        } catch (e) {
+            const status = e.response?.status;
+            if (status === 404 || !isRetryableError(e) || attempt > UPLOAD_MAX_RETRIES) throw e;
+            const delay = retryDelay(e, attempt);
+            console.error(label + ' failed (' + describeError(e) + '), retry ' + attempt + '/' + UPLOAD_MAX_RETRIES + ' in ' + Math.round(delay / 1000) + 's');
+            await sleep(delay);
+        }
+    }
+}
+
+// 带错误分类码的错误
+function taskError(code, message) {
+    const err = new Error(message);
+    err.taskCode = code;
+    return err;
+}
+
+// 直链、.torrent URL 与元数据请求的 HTTP 错误归为下载错误，upload_error 只用于存储请求
+function sourceError(err) {
+    if (err.isAxiosError && !err.taskCode) err.taskCode = ERROR_CODES.DOWNLOAD_ERROR;
+    return err;
+}
+
+// aria2 错误码转换为任务错误（9 = 磁盘空间不足）
+function aria2ExitError(code, message = '') {
+    const detail = 'aria2 error code ' + code + (message ? ': ' + message : '');
+    if (code === 9) return taskError(ERROR_CODES.DISK_FULL, 'Not enough disk space (' + detail + ')');
+    return taskError(ERROR_CODES.DOWNLOAD_ERROR, 'Download failed (' + detail + ')');
+}
+
+// 推断错误分类：显式分类码 > 磁盘满 > 存储认证失败 > 其他 HTTP 错误
+function classifyError(err) {
+    if (err.taskCode) return err.taskCode;
+    if (err.code === 'ENOSPC') return ERROR_CODES.DISK_FULL;
+    const status = err.response?.status;
+    if (err.code === 'EEXIST' || status === 409) return ERROR_CODES.FILE_EXISTS;
+    if (status === 401 || status === 403 || err.isAuthError) return ERROR_CODES.AUTH_ERROR;
+    // 来源请求已由 sourceError 标记，余下的 HTTP 错误来自存储
+    if (err.isAxiosError) return ERROR_CODES.UPLOAD_ERROR;
+    return ERROR_CODES.UNKNOWN;
+}
+
+module.exports = {
+    ERROR_CODES,
+    parseFileErrorOptions,
+    createFileRetries,
+    withOpenSessions,
+    runTask
+};
+
+// 作为模块加载时（测试）不运行任务
+if (require.main === module) {
+    main().catch(err => { console.error('Fatal error:', err); process.exit(1); });
+}
@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { parseExtractOptions, isArchiveVolume, findArchiveSets, extractArchive } = require('../lib/archive');
+const { makeTempDir, makeData } = require('./helpers');
+
+const no7z = spawnSync('7z', ['i']).status === 0 ? false : '7z is not installed';
+
+describe('archive detection', () => {
+    it('groups single and multi-volume archives per directory', () => {
+        const sets = findArchiveSets([
+            'T/a.part1.rar', 'T/a.part2.rar', 'T/b.rar', 'T/b.r00', 'T/b.r01',
+            'T/c.7z.001', 'T/c.7z.002', 'T/d.zip', 'T/d.z01', 'T/e.7z',
+            'T/Sub/a.part1.rar', 'T/movie.mkv'
+        ]);
+        assert.deepStrictEqual(sets.map(s => [s.entry, s.volumes.length]), [
+            ['T/a.part1.rar', 2],
+            ['T/b.rar', 3],
+            ['T/c.7z.001', 2],
+            ['T/e.7z', 1],
+            ['T/d.zip', 2],
+            ['T/Sub/a.part1.rar', 1]
+        ]);
+    });
+
+    it('ignores volumes whose first part is missing', () => {
+        assert.deepStrictEqual(findArchiveSets(['T/a.part2.rar', 'T/c.7z.002']), []);
+        assert.ok(isArchiveVolume('T/a.part2.rar'));
+        assert.ok(!isArchiveVolume('T/movie.mkv'));
+    });
+
+    it('is enabled by the extract_archives option', () => {
+        assert.strictEqual(parseExtractOptions({}), null);
+        const options = parseExtractOptions({ extract_archives: true, archive_password: 'pw', skip_archives: 'true' });
+        assert.strictEqual(options.password, 'pw');
+        assert.strictEqual(options.skipArchives, true);
+        assert.ok(parseExtractOptions({}, { EXTRACT_ARCHIVES: 'true' }));
+    });
+});
+
+describe('archive extraction', { skip: no7z }, () => {
+    it('extracts an encrypted multi-volume 7z archive', async () => {
+        const dir = makeTempDir('archive-test-');
+        try {
+            const source = path.join(dir, 'source');
+            fs.mkdirSync(path.join(source, 'Sub'), { recursive: true });
+            const data = makeData(300 * 1024, 'archive');
+            fs.writeFileSync(path.join(source, 'Sub', 'data.bin'), data);
+            const created = spawnSync('7z', ['a', '-v100k', '-ppw', path.join(dir, 'pack.7z'), '.'], { cwd: source });
+            assert.strictEqual(created.status, 0, String(created.stderr));
+
+            const archives = fs.readdirSync(dir).filter(isArchiveVolume).map(f => path.join(dir, f));
+            const [set] = findArchiveSets(archives);
+            assert.ok(set.volumes.length > 1);
+            const files = await extractArchive(set.entry, path.join(dir, 'out'), 'pw');
+            assert.deepStrictEqual(files, ['Sub/data.bin']);
+            assert.ok(fs.readFileSync(path.join(dir, 'out', 'Sub', 'data.bin')).equals(data));
+            await assert.rejects(extractArchive(set.entry, path.join(dir, 'wrong'), 'nope'));
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseBatchTasks, runBatch } = require('../lib/batch');
+
+describe('batch tasks', () => {
+    it('describes a single task from the environment without options.tasks', () => {
+        const env = { TASK_ID: 't1', MAGNET: 'magnet:?xt=urn:btih:abc', UPLOAD_FOLDER: 'movies' };
+        assert.deepStrictEqual(parseBatchTasks({ verify: true }, env), [
+            { taskId: 't1', source: 'magnet:?xt=urn:btih:abc', uploadFolder: 'movies', options: { verify: true } }
+        ]);
+        assert.strictEqual(parseBatchTasks({ torrent: 'ZDg6', tasks: [] }, env)[0].source, 'ZDg6');
+    });
+
+    it('merges per-task fields over the shared options', () => {
+        const tasks = parseBatchTasks({
+            verify: true,
+            source: 'ignored',
+            tasks: [
+                { task_id: 'a', magnet: 'magnet:?xt=urn:btih:a', upload_folder: 'show', include: '*.mkv' },
+                { source: 'https://example.com/b.bin', verify: false }
+            ]
+        }, { TASK_ID: 'batch', UPLOAD_FOLDER: 'default' });
+        assert.deepStrictEqual(tasks, [
+            { taskId: 'a', source: 'magnet:?xt=urn:btih:a', uploadFolder: 'show', options: { verify: true, include: '*.mkv' } },
+            { taskId: 'batch-2', source: 'https://example.com/b.bin', uploadFolder: 'default', options: { verify: false } }
+        ]);
+    });
+
+    it('keeps running after a failed task', async () => {
+        const ran = [];
+        const results = await runBatch([{ taskId: 'a' }, { taskId: 'b' }, { taskId: 'c' }], async (task, index) => {
+            ran.push(index);
+            if (task.taskId === 'b') throw new Error('boom');
+        });
+        assert.deepStrictEqual(ran, [0, 1, 2]);
+        assert.deepStrictEqual(results.map(r => r.status), ['completed', 'failed', 'completed']);
+        assert.strictEqual(results[1].error.message, 'boom');
+    });
+
+    it('records cancelled tasks separately from failures', async () => {
+        const results = await runBatch([{ taskId: 'a' }, { taskId: 'b' }], async (task) => {
+            if (task.taskId === 'a') throw Object.assign(new Error('Task cancelled: Received SIGTERM'), { taskCode: 'cancelled' });
+            throw Object.assign(new Error('Request failed'), { taskCode: 'upload_error' });
+        });
+        assert.deepStrictEqual(results.map(r => r.status), ['cancelled', 'failed']);
+    });
+});
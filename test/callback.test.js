@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { PROTOCOL_VERSION, progressEvent } = require('../lib/callback');
+
+describe('callback protocol', () => {
+    it('sends only documented progress fields', () => {
+        const event = progressEvent('t1', 3, {
+            phase: 'sequential-download',
+            percent: 42.6,
+            progress: 'batch 1/2',
+            batchIndex: 1,
+            batchCount: 2,
+            totalBytes: 100,
+            uploadedBytes: undefined,
+            internal: 'not sent',
+            taskId: 'overridden'
+        });
+        assert.ok(event.sentAt);
+        delete event.sentAt;
+        assert.deepStrictEqual(event, {
+            protocolVersion: PROTOCOL_VERSION,
+            type: 'progress',
+            taskId: 't1',
+            sequence: 3,
+            phase: 'sequential-download',
+            percent: 43,
+            progress: 'batch 1/2',
+            batchIndex: 1,
+            batchCount: 2,
+            totalBytes: 100
+        });
+    });
+
+    it('reports unknown percent as null', () => {
+        assert.strictEqual(progressEvent('t1', 1, { phase: 'metadata' }).percent, null);
+    });
+});
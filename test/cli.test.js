@@ -0,0 +1,102 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseCommandLine } = require('../lib/cli');
+const { createCancellation } = require('../lib/cancel');
+const { runTask } = require('../stream_upload');
+const { makeTempDir, makeData, startHttpSource, startCallbackServer } = require('./helpers');
+
+describe('command line', () => {
+    let dir;
+
+    before(() => {
+        dir = makeTempDir('magnet-cli-');
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('returns empty overrides without arguments', () => {
+        assert.deepStrictEqual(parseCommandLine([]), { env: {}, options: {}, dryRun: false, help: false });
+    });
+
+    it('maps flags to environment variables and task options', () => {
+        const cli = parseCommandLine(['--source', 'magnet:?xt=urn:btih:abc', '--folder=movies', '--mode', 'Sequential', '--task-id', 't1', '--option', 'verify=true', '--option', 'include=*.mkv', '--dry-run']);
+        assert.deepStrictEqual(cli, {
+            env: { UPLOAD_FOLDER: 'movies', TASK_ID: 't1' },
+            options: { source: 'magnet:?xt=urn:btih:abc', download_mode: 'sequential', verify: true, include: '*.mkv' },
+            dryRun: true,
+            help: false
+        });
+    });
+
+    it('reads a client_payload config file, overridden by flags', () => {
+        const config = path.join(dir, 'task.json');
+        fs.writeFileSync(config, JSON.stringify({
+            magnet: 'magnet:?xt=urn:btih:def',
+            od_refresh_token: 'token',
+            timeout_hours: 3,
+            upload_folder: 'from-config',
+            options: { verify: true, max_disk_usage: '10G' }
+        }));
+        const cli = parseCommandLine(['--config', config, '--folder', 'from-flag', '--option', 'verify=false']);
+        assert.deepStrictEqual(cli.env, { MAGNET: 'magnet:?xt=urn:btih:def', OD_REFRESH_TOKEN: 'token', TIMEOUT_HOURS: '3', UPLOAD_FOLDER: 'from-flag' });
+        assert.deepStrictEqual(cli.options, { verify: false, max_disk_usage: '10G' });
+    });
+
+    it('rejects unknown arguments, missing values and invalid modes', () => {
+        assert.throws(() => parseCommandLine(['--bogus']), /Unknown argument/);
+        assert.throws(() => parseCommandLine(['--source']), /Missing value/);
+        assert.throws(() => parseCommandLine(['--mode', 'fast']), /Invalid mode/);
+        assert.throws(() => parseCommandLine(['--option', 'novalue']), /expected key=value/);
+        assert.throws(() => parseCommandLine(['--config', path.join(dir, 'missing.json')]), /Cannot read config/);
+    });
+});
+
+describe('dry run', () => {
+    it('prints the plan without connecting to storage or sending callbacks', async (t) => {
+        const source = await startHttpSource('movie.bin', makeData(3 * 1024 * 1024, 'dry-run'));
+        const callbacks = await startCallbackServer();
+        const dir = makeTempDir('magnet-dry-run-');
+        const cwd = process.cwd();
+        const output = [];
+        t.mock.method(console, 'log', (...args) => output.push(args.join(' ')));
+        let connects = 0;
+        try {
+            // 任务在当前目录下创建 downloads/
+            process.chdir(dir);
+            await runTask({ taskId: 'dry-run', source: source.url, uploadFolder: 'movies', options: {} }, 0, {
+                storageType: 'onedrive',
+                callbackUrl: callbacks.callbackUrl,
+                callbackSecret: 'secret',
+                rootPath: 'imgbed',
+                trackers: async () => [],
+                maxTime: 3600000,
+                stallTimeout: 60000,
+                batchSize: 1,
+                dryRun: true,
+                shutdown: createCancellation(),
+                deadline: Infinity,
+                connect: async () => {
+                    connects++;
+                    throw new Error('dry run must not connect to storage');
+                }
+            });
+        } finally {
+            process.chdir(cwd);
+            await source.close();
+            await callbacks.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+
+        assert.strictEqual(connects, 0);
+        assert.deepStrictEqual(callbacks.results, []);
+        assert.deepStrictEqual(callbacks.progress, []);
+        assert.deepStrictEqual(callbacks.controls, []);
+        const printed = output.join('\n');
+        assert.match(printed, /Plan: normal/);
+        assert.match(printed, /Files to upload \(1\):\n  movie\.bin \(3MiB\)\n    storage: imgbed\/movies\/\d+\/movie\.bin\n    kv: +movies\/movie\.bin$/);
+    });
+});
@@ -0,0 +1,345 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+const { startMockGraph } = require('./mock_graph_server');
+const { hasAria2, makeTempDir, makeData, makeTorrent, startTracker, startSeeder, startHttpSource, startCallbackServer, runTask } = require('./helpers');
+
+const MB = 1024 * 1024;
+const CALLBACK_SECRET = 'e2e-secret';
+const noAria2 = hasAria2() ? false : 'aria2c is not installed';
+
+describe('end-to-end tasks against the mock Graph server', () => {
+    let mock;
+    let callbacks;
+    let workDir;
+
+    before(async () => {
+        mock = await startMockGraph();
+        callbacks = await startCallbackServer();
+        workDir = makeTempDir('magnet-e2e-');
+    });
+
+    after(async () => {
+        await mock.close();
+        await callbacks.close();
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    // 每个任务使用独立的目录和 task id
+    const run = async (taskId, options, onOutput = null, env = {}) => {
+        const cwd = path.join(workDir, taskId);
+        fs.mkdirSync(cwd, { recursive: true });
+        const result = await runTask(cwd, {
+            OD_CLIENT_ID: 'client',
+            OD_CLIENT_SECRET: 'secret',
+            OD_TENANT_ID: 'common',
+            OD_REFRESH_TOKEN: mock.getRefreshToken(),
+            OD_ROOT_PATH: 'e2e',
+            OD_GRAPH_BASE_URL: mock.graphBaseUrl,
+            OD_AUTH_BASE_URL: mock.authBaseUrl,
+            CALLBACK_URL: callbacks.callbackUrl,
+            TASK_ID: taskId,
+            // 不获取公共 tracker 列表，只用种子中的本地 tracker
+            TRACKER_SOURCES: '',
+            PROBE_TRACKERS: 'false',
+            TASK_OPTIONS: JSON.stringify({ callback_secret: CALLBACK_SECRET, ...options }),
+            ...env
+        }, undefined, onOutput);
+        const callback = callbacks.results.filter(c => c.body.taskId === taskId).pop();
+        assert.ok(callback, 'no callback received:\n' + result.output);
+        return { ...result, callback: callback.body, signed: callback };
+    };
+
+    // 按回调中的路径比较存储端内容
+    const assertUploaded = (callback, files) => {
+        assert.strictEqual(callback.status, 'completed', JSON.stringify(callback.error));
+        assert.strictEqual(callback.files.length, files.length);
+        for (const file of files) {
+            const entry = callback.files.find(f => f.fileName === file.name);
+            assert.ok(entry, 'missing ' + file.name);
+            assert.ok(mock.getFile(entry.onedrivePath)?.equals(file.content), 'content mismatch for ' + entry.onedrivePath);
+        }
+    };
+
+    it('streams an HTTP source through upload faults and a dropped connection', async () => {
+        const content = makeData(40 * MB + 123, 'http');
+        const source = await startHttpSource('movie.bin', content, { dropAfter: 10 * MB });
+        mock.inject({ route: 'createSession', invalidateToken: true });
+        mock.inject({ route: 'chunk', status: 429, retryAfter: 1 });
+        mock.inject({ route: 'chunk', status: 503, retryAfter: 1 });
+        try {
+            const { code, callback, signed, output } = await run('http-stream', { source: source.url, max_disk_usage: '10M', verify: true });
+            assert.strictEqual(code, 0, output);
+            assert.match(output, /Plan: streaming/);
+            assert.match(output, /HTTP stream interrupted/);
+            assertUploaded(callback, [{ name: 'movie.bin', content }]);
+            assert.strictEqual(mock.pendingFaults(), 0);
+
+            // 回调带签名和协议版本
+            const expected = crypto.createHmac('sha256', CALLBACK_SECRET)
+                .update(signed.headers['x-timestamp'] + '.' + signed.headers['x-nonce'] + '.' + signed.raw).digest('hex');
+            assert.strictEqual(signed.headers['x-signature'], 'sha256=' + expected);
+            assert.strictEqual(callback.protocolVersion, 1);
+            assert.strictEqual(callback.odRefreshToken, mock.getRefreshToken());
+            assert.ok(callbacks.progress.some(p => p.body.taskId === 'http-stream' && p.body.phase === 'planning'));
+        } finally {
+            await source.close();
+        }
+    });
+
+    it('reports renamed paths and skips existing files only when their hashes match', async () => {
+        const content = makeData(3 * MB, 'conflict');
+        const sources = [await startHttpSource('clip.bin', content), await startHttpSource('clip.bin', makeData(3 * MB, 'conflict-changed'))];
+        // 小于文件大小，直链走流式上传
+        const options = (source, conflictBehavior) => ({ source: sources[source].url, max_disk_usage: '1M', conflict_behavior: conflictBehavior });
+        try {
+            const first = (await run('conflict-1', options(0, 'rename'))).callback;
+            assertUploaded(first, [{ name: 'clip.bin', content }]);
+            const folder = path.posix.dirname(first.files[0].onedrivePath);
+
+            const renamed = (await run('conflict-2', options(0, 'rename'))).callback;
+            assertUploaded(renamed, [{ name: 'clip.bin', content }]);
+            assert.strictEqual(renamed.files[0].onedrivePath, folder + '/clip 1.bin');
+            assert.strictEqual(renamed.files[0].kvPath, 'clip 1.bin');
+
+            // 大小相同、内容相同：上传后比较哈希，删除新副本
+            const skipped = (await run('conflict-3', options(0, 'skip'))).callback;
+            assert.strictEqual(skipped.files[0].alreadyExists, true);
+            assert.strictEqual(skipped.files[0].onedrivePath, folder + '/clip.bin');
+            assert.strictEqual(mock.getFile(folder + '/clip 2.bin'), null);
+
+            // 大小相同、内容不同：按 rename 上传
+            const changed = (await run('conflict-4', options(1, 'skip'))).callback;
+            assert.strictEqual(changed.files[0].alreadyExists, false);
+            assert.strictEqual(changed.files[0].onedrivePath, folder + '/clip 2.bin');
+            assert.ok(mock.getFile(folder + '/clip 2.bin').equals(makeData(3 * MB, 'conflict-changed')));
+        } finally {
+            await Promise.all(sources.map(s => s.close()));
+        }
+    });
+
+    it('runs a batch of tasks with one shared token and isolated failures', async () => {
+        const first = makeData(3 * MB, 'batch-1');
+        const second = makeData(5 * MB + 7, 'batch-2');
+        const sources = [await startHttpSource('one.bin', first), await startHttpSource('two.bin', second)];
+        const refreshes = mock.requests.filter(r => r.route === 'token').length;
+        try {
+            const cwd = path.join(workDir, 'batch');
+            fs.mkdirSync(cwd, { recursive: true });
+            const { code, output } = await runTask(cwd, {
+                OD_CLIENT_ID: 'client',
+                OD_CLIENT_SECRET: 'secret',
+                OD_TENANT_ID: 'common',
+                OD_REFRESH_TOKEN: mock.getRefreshToken(),
+                OD_ROOT_PATH: 'e2e',
+                OD_GRAPH_BASE_URL: mock.graphBaseUrl,
+                OD_AUTH_BASE_URL: mock.authBaseUrl,
+                CALLBACK_URL: callbacks.callbackUrl,
+                TASK_ID: 'batch',
+                TASK_OPTIONS: JSON.stringify({
+                    callback_secret: CALLBACK_SECRET,
+                    verify: true,
+                    // 小于文件大小，直链走流式上传，不需要 aria2
+                    max_disk_usage: '1M',
+                    tasks: [
+                        { source: sources[0].url, upload_folder: 'first' },
+                        { task_id: 'batch-broken', source: 'http://127.0.0.1:1/missing.bin' },
+                        { source: sources[1].url, upload_folder: 'second', verify: false }
+                    ]
+                })
+            });
+            assert.strictEqual(code, 1, output);
+            assert.match(output, /1 of 3 tasks failed/);
+
+            const result = (taskId) => callbacks.results.filter(c => c.body.taskId === taskId).pop()?.body;
+            assertUploaded(result('batch-1'), [{ name: 'one.bin', content: first }]);
+            assertUploaded(result('batch-3'), [{ name: 'two.bin', content: second }]);
+            assert.strictEqual(result('batch-broken').status, 'failed');
+            assert.strictEqual(result('batch-broken').error.code, 'download_error');
+            assert.deepStrictEqual(result('batch-3').batch, { index: 3, count: 3 });
+            assert.match(result('batch-1').files[0].kvPath, /^first\//);
+            // 第三个任务关闭了 verify
+            assert.ok(result('batch-1').files[0].quickXorHash);
+            assert.strictEqual(result('batch-3').files[0].quickXorHash, '');
+            assert.strictEqual(mock.requests.filter(r => r.route === 'token').length, refreshes + 1);
+            assert.ok(callbacks.progress.some(p => p.body.taskId === 'batch-3'));
+        } finally {
+            await Promise.all(sources.map(s => s.close()));
+        }
+    });
+
+    it('reports HTTP errors from the source as download errors', async () => {
+        const server = http.createServer((req, res) => {
+            res.statusCode = 404;
+            res.end();
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        try {
+            const { code, callback } = await run('source-404', {
+                source: 'http://127.0.0.1:' + server.address().port + '/gone.bin'
+            });
+            assert.strictEqual(code, 1);
+            assert.strictEqual(callback.status, 'failed');
+            assert.deepStrictEqual(callback.error, { code: 'download_error', message: 'Request failed with status code 404', phase: 'metadata' });
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    // 直链发送 1MB 后停住，上传会话创建后取消
+    const runCancelled = async (taskId, cancel, exitCode) => {
+        const source = await startHttpSource('cancel.bin', makeData(8 * MB, taskId), { holdAfter: MB });
+        const deletes = mock.requests.filter(r => r.route === 'sessionDelete').length;
+        let sessionCreated = false;
+        try {
+            const result = await run(taskId, { source: source.url, max_disk_usage: '1M', control_interval: 0.5 }, (output, proc) => {
+                if (sessionCreated || !output.includes('Upload session created')) return;
+                sessionCreated = true;
+                cancel(proc);
+            });
+            assert.strictEqual(result.code, exitCode, result.output);
+            assert.doesNotMatch(result.output, /Fatal error/);
+            assert.strictEqual(result.callback.status, 'cancelled');
+            assert.strictEqual(result.callback.error.code, 'cancelled');
+            assert.deepStrictEqual(result.callback.files, []);
+            assert.strictEqual(mock.requests.filter(r => r.route === 'sessionDelete').length, deletes + 1);
+            return result;
+        } finally {
+            await source.close();
+        }
+    };
+
+    it('cancels a task from the control endpoint and deletes its upload session', async () => {
+        const { callback } = await runCancelled('remote-cancel', () => callbacks.cancel('remote-cancel'), 1);
+        assert.strictEqual(callback.error.message, 'Cancelled remotely: user request');
+        assert.ok(callbacks.controls.some(c => c.body.taskId === 'remote-cancel' && c.body.type === 'control'));
+    });
+
+    it('cancels the task on SIGTERM and exits with the signal status', async () => {
+        const { callback } = await runCancelled('sigterm', (proc) => proc.kill('SIGTERM'), 143);
+        assert.strictEqual(callback.error.message, 'Received SIGTERM');
+    });
+
+    describe('torrent sources seeded by a local aria2', { skip: noAria2 }, () => {
+        let tracker;
+        let seedDir;
+        const seeders = [];
+
+        before(async () => {
+            tracker = await startTracker();
+            seedDir = makeTempDir('magnet-seed-');
+        });
+
+        after(async () => {
+            await Promise.all(seeders.map(s => s.stop()));
+            await tracker.close();
+            fs.rmSync(seedDir, { recursive: true, force: true });
+        });
+
+        const seed = async (name, files) => {
+            const created = makeTorrent(seedDir, name, files, tracker.announce);
+            const torrentPath = path.join(seedDir, name + '.torrent');
+            fs.writeFileSync(torrentPath, created.torrent);
+            seeders.push(await startSeeder(torrentPath, seedDir));
+            return created;
+        };
+
+        it('downloads then uploads in normal mode', async () => {
+            const { torrent, files } = await seed('Normal Pack', [
+                { path: 'a.bin', size: 3 * MB },
+                { path: 'Sub/b.bin', size: 6 * MB + 17 },
+                { path: 'c.txt', size: 1000 }
+            ]);
+            const { code, callback, output } = await run('torrent-normal', { torrent: torrent.toString('base64'), verify: true });
+            assert.strictEqual(code, 0, output);
+            assert.match(output, /Plan: normal/);
+            assertUploaded(callback, files.map(f => ({ name: f.path, content: f.content })));
+        });
+
+        it('streams a single file larger than the disk budget', async () => {
+            const { torrent, files } = await seed('single.bin', [{ path: 'single.bin', size: 35 * MB }]);
+            mock.inject({ route: 'chunk', expireSession: true });
+            const { code, callback, output } = await run('torrent-stream', { torrent: torrent.toString('base64'), max_disk_usage: '8M', verify: true });
+            assert.strictEqual(code, 0, output);
+            assert.match(output, /Plan: streaming/);
+            assertUploaded(callback, [{ name: 'single.bin', content: files[0].content }]);
+        });
+
+        it('uploads zero-length files in streaming mode', async () => {
+            const { torrent, files } = await seed('Empty Pack', [
+                { path: 'empty.txt', size: 0 },
+                { path: 'data.bin', size: 6 * MB },
+                { path: 'Sub/empty.nfo', size: 0 }
+            ]);
+            const { code, callback, output } = await run('torrent-empty', { torrent: torrent.toString('base64'), download_mode: 'streaming', verify: true });
+            assert.strictEqual(code, 0, output);
+            assert.match(output, /Plan: streaming/);
+            assertUploaded(callback, files.map(f => ({ name: 'Empty Pack/' + f.path, content: f.content })));
+        });
+
+        it('downloads and uploads in batches in sequential mode', async () => {
+            const { torrent, files } = await seed('Sequential Pack', [
+                { path: '01.bin', size: 4 * MB },
+                { path: '02.bin', size: 4 * MB },
+                { path: '03.bin', size: 12 * MB },
+                { path: '04.bin', size: 2 * MB }
+            ]);
+            const { code, callback, output } = await run('torrent-sequential', { torrent: torrent.toString('base64'), max_disk_usage: '9M' });
+            assert.strictEqual(code, 0, output);
+            assert.match(output, /Plan: sequential/);
+            assertUploaded(callback, files.map(f => ({ name: 'Sequential Pack/' + f.path, content: f.content })));
+        });
+
+        it('retries a stalled file in sequential mode, then skips it', async () => {
+            const created = makeTorrent(seedDir, 'Stalled Pack', [
+                { path: '01.bin', size: MB },
+                { path: '02.bin', size: MB },
+                { path: '03.bin', size: MB }
+            ], tracker.announce);
+            // 做种端的 02.bin 与种子不符：校验后没有这些分片，下载停滞（分片不跨文件）
+            fs.writeFileSync(path.join(seedDir, 'Stalled Pack', '02.bin'), makeData(MB, 'corrupted'));
+            const torrentPath = path.join(seedDir, 'Stalled Pack.torrent');
+            fs.writeFileSync(torrentPath, created.torrent);
+            seeders.push(await startSeeder(torrentPath, seedDir));
+
+            const { code, callback, output } = await run('torrent-stalled', {
+                torrent: created.torrent.toString('base64'),
+                download_mode: 'sequential',
+                file_retries: 1
+            }, null, { STALL_TIMEOUT_MINUTES: '0.1' });
+            assert.strictEqual(code, 0, output);
+            assert.match(output, /Retrying 1 files/);
+            assert.strictEqual(callback.status, 'partial');
+            assert.deepStrictEqual(callback.failedFiles.map(f => [f.fileName, f.reason, f.attempts]), [['Stalled Pack/02.bin', 'stalled', 2]]);
+            // 其余文件各上传一次
+            assert.deepStrictEqual(callback.files.map(f => f.fileName).sort(), ['Stalled Pack/01.bin', 'Stalled Pack/03.bin']);
+            for (const file of callback.files) {
+                const expected = created.files.find(f => 'Stalled Pack/' + f.path === file.fileName);
+                assert.ok(mock.getFile(file.onedrivePath)?.equals(expected.content), 'content mismatch for ' + file.onedrivePath);
+            }
+        });
+
+        it('deletes the upload session of a failed streamed file before retrying it', async () => {
+            const { torrent, files } = await seed('Retry Pack', [
+                { path: '01.bin', size: 2 * MB },
+                { path: '02.bin', size: 12 * MB }
+            ]);
+            // 不可重试的分片错误使流式上传失败，整个文件重新下载上传
+            mock.inject({ route: 'chunk', status: 400 });
+            const deletes = mock.requests.filter(r => r.route === 'sessionDelete').length;
+            const { code, callback, output } = await run('torrent-retry', {
+                torrent: torrent.toString('base64'),
+                download_mode: 'sequential',
+                max_disk_usage: '9M',
+                file_retries: 1
+            });
+            assert.strictEqual(code, 0, output);
+            assert.match(output, /Streaming failed/);
+            assert.strictEqual(mock.requests.filter(r => r.route === 'sessionDelete').length, deletes + 1);
+            assertUploaded(callback, files.map(f => ({ name: 'Retry Pack/' + f.path, content: f.content })));
+        });
+    });
+});
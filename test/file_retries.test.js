@@ -0,0 +1,70 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { ERROR_CODES, parseFileErrorOptions, createFileRetries, withOpenSessions } = require('../stream_upload');
+
+const taskError = (code, message) => Object.assign(new Error(message), { taskCode: code });
+
+describe('per-file retries in sequential mode', () => {
+    it('reads retry options with defaults and limits', () => {
+        const failed = [];
+        assert.deepStrictEqual(parseFileErrorOptions({}, failed), { retries: 2, skip: true, failed });
+        assert.deepStrictEqual(parseFileErrorOptions({ file_retries: '50', on_file_error: 'abort' }, failed), { retries: 10, skip: false, failed });
+        assert.strictEqual(parseFileErrorOptions({ file_retries: -1 }, failed).retries, 0);
+    });
+
+    it('retries each file separately, then records it as failed', () => {
+        const fileErrors = parseFileErrorOptions({ file_retries: 1 }, []);
+        const retryFile = createFileRetries(fileErrors);
+        const a = { path: 'Pack/a.bin', size: 10, index: 1 };
+        const b = { path: 'Pack/b.bin', size: 20, index: 2 };
+        const stalled = taskError(ERROR_CODES.STALLED, 'No progress');
+
+        assert.strictEqual(retryFile(a, stalled), true);
+        assert.strictEqual(retryFile(b, stalled), true);
+        assert.strictEqual(retryFile(a, stalled), false);
+        assert.deepStrictEqual(fileErrors.failed, [
+            { path: 'Pack/a.bin', size: 10, index: 1, reason: 'stalled', error: 'No progress', attempts: 2 }
+        ]);
+    });
+
+    it('throws once retries are used up when on_file_error is abort', () => {
+        const fileErrors = parseFileErrorOptions({ file_retries: 1, on_file_error: 'abort' }, []);
+        const retryFile = createFileRetries(fileErrors);
+        const file = { path: 'a.bin', size: 1, index: 1 };
+        const err = taskError(ERROR_CODES.DOWNLOAD_ERROR, 'aria2 error');
+        assert.strictEqual(retryFile(file, err), true);
+        assert.throws(() => retryFile(file, err), /aria2 error/);
+        assert.deepStrictEqual(fileErrors.failed, []);
+    });
+
+    it('never retries authentication failures or a full disk', () => {
+        const retryFile = createFileRetries(parseFileErrorOptions({ file_retries: 5 }, []));
+        const file = { path: 'a.bin', size: 1, index: 1 };
+        assert.throws(() => retryFile(file, taskError(ERROR_CODES.AUTH_ERROR, 'token revoked')), /token revoked/);
+        assert.throws(() => retryFile(file, Object.assign(new Error('no space'), { code: 'ENOSPC' })), /no space/);
+    });
+
+    it('aborts the upload sessions a failed attempt left open', async () => {
+        const aborted = [];
+        const storage = withOpenSessions({
+            initSession: async (remotePath) => ({ remotePath }),
+            finalize: async (session) => ({ id: session.remotePath }),
+            abort: async (session) => {
+                aborted.push(session.remotePath);
+                if (session.remotePath === 'c.bin') throw new Error('already gone');
+            }
+        });
+        const finished = await storage.initSession('a.bin');
+        await storage.finalize(finished);
+        await storage.initSession('b.bin');
+        await storage.initSession('c.bin');
+        const dropped = await storage.initSession('d.bin');
+        await storage.abort(dropped);
+
+        // 放弃失败只记录日志
+        await storage.abortOpen();
+        assert.deepStrictEqual(aborted, ['d.bin', 'b.bin', 'c.bin']);
+        await storage.abortOpen();
+        assert.strictEqual(aborted.length, 3);
+    });
+});
@@ -0,0 +1,257 @@
+/**
+ * helpers.js - 端到端测试工具
+ *
+ * 生成本地种子、HTTP tracker 与 aria2 做种，HTTP 直链来源、回调接收端，
+ * 以及以子进程运行 stream_upload.js。全部在本机完成，不访问外网。
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { spawn, spawnSync } = require('child_process');
+const net = require('net');
+
+const SCRIPT = path.join(__dirname, '..', 'stream_upload.js');
+const TASK_TIMEOUT = 5 * 60 * 1000;
+
+function hasAria2() {
+    return spawnSync('aria2c', ['--version']).status === 0;
+}
+
+function makeTempDir(prefix) {
+    return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+// 确定性的测试数据，便于比较上传结果
+function makeData(size, seed) {
+    const data = Buffer.alloc(size);
+    let block = crypto.createHash('sha256').update(String(seed)).digest();
+    for (let offset = 0; offset < size; offset += block.length) {
+        block.copy(data, offset);
+        block = crypto.createHash('sha256').update(block).digest();
+    }
+    return data;
+}
+
+function bencode(value) {
+    if (Buffer.isBuffer(value)) return Buffer.concat([Buffer.from(value.length + ':'), value]);
+    if (typeof value === 'string') return bencode(Buffer.from(value));
+    if (typeof value === 'number') return Buffer.from('i' + value + 'e');
+    if (Array.isArray(value)) return Buffer.concat([Buffer.from('l'), ...value.map(bencode), Buffer.from('e')]);
+    // 字典按键排序
+    const keys = Object.keys(value).sort();
+    return Buffer.concat([Buffer.from('d'), ...keys.flatMap(k => [bencode(k), bencode(value[k])]), Buffer.from('e')]);
+}
+
+// 在 dataDir 下写出文件并生成种子；files 为 [{ path, size }]，单个文件时生成单文件种子
+function makeTorrent(dataDir, name, files, announce, pieceLength = 256 * 1024) {
+    const contents = files.map((f, i) => makeData(f.size, name + '/' + f.path + '/' + i));
+    const single = files.length === 1;
+    files.forEach((f, i) => {
+        const filePath = single ? path.join(dataDir, name) : path.join(dataDir, name, f.path);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, contents[i]);
+    });
+
+    const all = Buffer.concat(contents);
+    const pieces = [];
+    for (let offset = 0; offset < all.length; offset += pieceLength) {
+        pieces.push(crypto.createHash('sha1').update(all.subarray(offset, offset + pieceLength)).digest());
+    }
+    const info = { name, 'piece length': pieceLength, pieces: Buffer.concat(pieces) };
+    if (single) info.length = files[0].size;
+    else info.files = files.map(f => ({ length: f.size, path: f.path.split('/') }));
+
+    const torrent = bencode({ announce, info });
+    return {
+        torrent,
+        infoHash: crypto.createHash('sha1').update(bencode(info)).digest('hex'),
+        files: files.map((f, i) => ({ ...f, content: contents[i] }))
+    };
+}
+
+// 最简 HTTP tracker：记录每个 info_hash 的 peer，返回 compact 格式的其他 peer
+async function startTracker() {
+    const swarms = new Map();
+    const server = http.createServer((req, res) => {
+        const query = parseRawQuery(req.url.split('?')[1] || '');
+        const infoHash = (query.info_hash || Buffer.alloc(0)).toString('hex');
+        const peerId = (query.peer_id || Buffer.alloc(0)).toString('hex');
+        const port = parseInt((query.port || '').toString());
+        const swarm = swarms.get(infoHash) || new Map();
+        swarms.set(infoHash, swarm);
+        if ((query.event || '').toString() === 'stopped') swarm.delete(peerId);
+        else if (port) swarm.set(peerId, port);
+
+        const peers = [...swarm].filter(([id]) => id !== peerId).map(([, p]) => {
+            const entry = Buffer.from([127, 0, 0, 1, 0, 0]);
+            entry.writeUInt16BE(p, 4);
+            return entry;
+        });
+        res.end(bencode({ interval: 5, 'min interval': 1, complete: peers.length, incomplete: 0, peers: Buffer.concat(peers) }));
+    });
+    await listen(server);
+    return {
+        announce: 'http://127.0.0.1:' + server.address().port + '/announce',
+        close: () => closeServer(server)
+    };
+}
+
+// info_hash / peer_id 为百分号编码的二进制，不能按 UTF-8 解码
+function parseRawQuery(query) {
+    const result = {};
+    for (const part of query.split('&')) {
+        const [key, value = ''] = part.split('=');
+        const bytes = [];
+        for (let i = 0; i < value.length; i++) {
+            if (value[i] === '%') {
+                bytes.push(parseInt(value.substr(i + 1, 2), 16));
+                i += 2;
+            } else {
+                bytes.push(value.charCodeAt(i) === 43 ? 32 : value.charCodeAt(i));
+            }
+        }
+        result[key] = Buffer.from(bytes);
+    }
+    return result;
+}
+
+// 用 aria2c 为 dataDir 中已有的数据做种（不开启 DHT / LPD，只通过本地 tracker 发现）
+async function startSeeder(torrentPath, dataDir) {
+    const port = await getFreePort();
+    const proc = spawn('aria2c', [
+        '--dir=' + dataDir,
+        '--check-integrity=true',
+        '--seed-ratio=0.0',
+        '--enable-dht=false',
+        '--enable-dht6=false',
+        '--bt-enable-lpd=false',
+        '--enable-peer-exchange=false',
+        '--listen-port=' + port,
+        '--console-log-level=warn',
+        '--summary-interval=0',
+        torrentPath
+    ], { stdio: 'ignore' });
+    return {
+        port,
+        stop: () => new Promise(resolve => {
+            if (proc.exitCode !== null) return resolve();
+            proc.once('exit', resolve);
+            proc.kill();
+        })
+    };
+}
+
+// HTTP 直链来源，支持 HEAD 与 Range；dropAfter 字节后断开一次连接，用于测试续传
+// dropAfter：第一次请求发送到该字节后断开；holdAfter：发送到该字节后保持连接不再发送
+async function startHttpSource(name, content, { dropAfter = 0, holdAfter = 0 } = {}) {
+    let dropped = false;
+    const server = http.createServer((req, res) => {
+        const range = (req.headers.range || '').match(/^bytes=(\d+)-$/);
+        const start = range ? parseInt(range[1]) : 0;
+        const headers = { 'Content-Type': 'application/octet-stream', 'Accept-Ranges': 'bytes', 'Content-Length': content.length - start };
+        if (range) headers['Content-Range'] = 'bytes ' + start + '-' + (content.length - 1) + '/' + content.length;
+        res.writeHead(range ? 206 : 200, headers);
+        if (req.method === 'HEAD') return res.end();
+        if (holdAfter > 0) return res.write(content.subarray(start, Math.max(start, holdAfter)));
+        if (dropAfter > 0 && !dropped && start < dropAfter) {
+            dropped = true;
+            res.write(content.subarray(start, dropAfter), () => res.destroy());
+            return;
+        }
+        res.end(content.subarray(start));
+    });
+    await listen(server);
+    return {
+        url: 'http://127.0.0.1:' + server.address().port + '/' + encodeURIComponent(name),
+        close: () => closeServer(server)
+    };
+}
+
+// 接收 /callback 与 /progress 请求；/control 对 cancel(taskId) 登记过的任务返回取消
+async function startCallbackServer() {
+    const results = [];
+    const progress = [];
+    const controls = [];
+    const cancelled = new Set();
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            const entry = { headers: req.headers, raw: body, body: JSON.parse(body) };
+            if (req.url.startsWith('/control')) {
+                controls.push(entry);
+                res.setHeader('Content-Type', 'application/json');
+                return res.end(JSON.stringify(cancelled.has(entry.body.taskId) ? { action: 'cancel', reason: 'user request' } : {}));
+            }
+            (req.url.startsWith('/progress') ? progress : results).push(entry);
+            res.end('ok');
+        });
+    });
+    await listen(server);
+    return {
+        callbackUrl: 'http://127.0.0.1:' + server.address().port + '/callback',
+        results,
+        progress,
+        controls,
+        cancel: (taskId) => cancelled.add(taskId),
+        close: () => closeServer(server)
+    };
+}
+
+// 以子进程运行一次任务，cwd 下的 downloads/ 为下载目录；onOutput(output, proc) 在每次输出后调用
+function runTask(cwd, env, timeout = TASK_TIMEOUT, onOutput = null) {
+    fs.mkdirSync(path.join(cwd, 'downloads'), { recursive: true });
+    return new Promise((resolve) => {
+        const proc = spawn(process.execPath, [SCRIPT], { cwd, env: { PATH: process.env.PATH, HOME: process.env.HOME || cwd, NODE_PATH: process.env.NODE_PATH || '', ...env } });
+        let output = '';
+        const append = (data) => {
+            output += data;
+            if (onOutput) onOutput(output, proc);
+        };
+        proc.stdout.on('data', append);
+        proc.stderr.on('data', append);
+        const timer = setTimeout(() => proc.kill('SIGKILL'), timeout);
+        proc.on('close', (code) => {
+            clearTimeout(timer);
+            resolve({ code, output });
+        });
+    });
+}
+
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.unref();
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const port = server.address().port;
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+function listen(server) {
+    return new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+}
+
+function closeServer(server) {
+    return new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(resolve);
+    });
+}
+
+module.exports = {
+    hasAria2,
+    makeTempDir,
+    makeData,
+    makeTorrent,
+    startTracker,
+    startSeeder,
+    startHttpSource,
+    startCallbackServer,
+    runTask
+};
@@ -0,0 +1,157 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseProbeOptions, mimeTypeFor, probeMedia } = require('../lib/media');
+const { makeTempDir } = require('./helpers');
+
+// ---- 生成最小的 MP4 / MKV 头部 ----
+
+function box(type, ...children) {
+    const body = Buffer.concat(children);
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(8 + body.length);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, body]);
+}
+
+function u32(...values) {
+    const buf = Buffer.alloc(values.length * 4);
+    values.forEach((v, i) => buf.writeUInt32BE(v, i * 4));
+    return buf;
+}
+
+function mp4Track(handler, sampleEntry, language) {
+    const packed = [...language].reduce((acc, c) => (acc << 5) | (c.charCodeAt(0) - 0x60), 0);
+    const mdhd = Buffer.alloc(24);
+    mdhd.writeUInt16BE(packed, 20);
+    return box('trak', box('mdia',
+        box('mdhd', mdhd),
+        box('hdlr', u32(0, 0), Buffer.from(handler, 'latin1'), Buffer.alloc(12)),
+        box('minf', box('stbl', box('stsd', u32(0, 1), sampleEntry)))));
+}
+
+function makeMp4() {
+    const visual = Buffer.alloc(70);
+    visual.writeUInt16BE(1920, 24);
+    visual.writeUInt16BE(1080, 26);
+    const sound = Buffer.alloc(20);
+    sound.writeUInt16BE(6, 16);
+    // mvhd v0：timescale 1000，duration 90500
+    const mvhd = Buffer.concat([u32(0, 0, 0, 1000, 90500), Buffer.alloc(80)]);
+    return Buffer.concat([
+        box('ftyp', Buffer.from('isom'), u32(512)),
+        box('mdat', Buffer.alloc(1000)),
+        box('moov', box('mvhd', mvhd),
+            mp4Track('vide', box('avc1', visual), 'und'),
+            mp4Track('soun', box('mp4a', sound), 'jpn'),
+            mp4Track('sbtl', box('tx3g', Buffer.alloc(8)), 'eng'))
+    ]);
+}
+
+function ebml(id, ...children) {
+    const body = Buffer.concat(children.map(c => Buffer.isBuffer(c) ? c : Buffer.from(String(c))));
+    const idBytes = Buffer.from(id.toString(16).padStart(id > 0xffffff ? 8 : id > 0xffff ? 6 : id > 0xff ? 4 : 2, '0'), 'hex');
+    const size = Buffer.alloc(8);
+    size.writeBigUInt64BE(BigInt(body.length) | (1n << 56n));
+    return Buffer.concat([idBytes, size, body]);
+}
+
+function uint(value, bytes = 2) {
+    const buf = Buffer.alloc(bytes);
+    buf.writeUIntBE(value, 0, bytes);
+    return buf;
+}
+
+function makeMkv() {
+    const duration = Buffer.alloc(8);
+    duration.writeDoubleBE(5025.5);
+    return Buffer.concat([
+        ebml(0x1A45DFA3, ebml(0x4282, 'matroska')),
+        ebml(0x18538067,
+            ebml(0x114D9B74, Buffer.alloc(16)),   // SeekHead
+            ebml(0x1549A966, ebml(0x2AD7B1, uint(1000000, 3)), ebml(0x4489, duration)),
+            ebml(0x1654AE6B,
+                ebml(0xAE, ebml(0x83, uint(1, 1)), ebml(0x86, 'V_MPEGH/ISO/HEVC'), ebml(0xE0, ebml(0xB0, uint(3840)), ebml(0xBA, uint(2160)))),
+                ebml(0xAE, ebml(0x83, uint(2, 1)), ebml(0x86, 'A_AAC/MPEG4/LC'), ebml(0x22B59C, 'jpn'), ebml(0xE1, ebml(0x9F, uint(2, 1)))),
+                ebml(0xAE, ebml(0x83, uint(2, 1)), ebml(0x86, 'A_FLAC')),
+                ebml(0xAE, ebml(0x83, uint(17, 1)), ebml(0x86, 'S_TEXT/ASS'), ebml(0x22B59C, 'chi'), ebml(0x536E, '简体中文'))),
+            ebml(0x1F43B675, Buffer.alloc(100)))
+    ]);
+}
+
+describe('media probing', () => {
+    const dir = makeTempDir('magnet-media-');
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const write = (name, data) => {
+        const filePath = path.join(dir, name);
+        fs.writeFileSync(filePath, data);
+        return filePath;
+    };
+
+    it('is enabled by probe_media or PROBE_MEDIA', () => {
+        assert.strictEqual(parseProbeOptions({}, {}), null);
+        assert.deepStrictEqual(parseProbeOptions({ probe_media: true }, {}), { ffprobe: 'ffprobe' });
+        assert.deepStrictEqual(parseProbeOptions({}, { PROBE_MEDIA: 'true', FFPROBE_PATH: '/opt/ffprobe' }), { ffprobe: '/opt/ffprobe' });
+    });
+
+    it('maps extensions to mime types', () => {
+        assert.strictEqual(mimeTypeFor('Show/ep01.MKV'), 'video/x-matroska');
+        assert.strictEqual(mimeTypeFor('cover.jpg'), 'image/jpeg');
+        assert.strictEqual(mimeTypeFor('README'), 'application/octet-stream');
+    });
+
+    it('parses an MP4 header when ffprobe is missing', async () => {
+        const probing = { ffprobe: path.join(dir, 'no-ffprobe') };
+        const media = await probeMedia(write('movie.mp4', makeMp4()), probing);
+        assert.strictEqual(probing.ffprobe, null);
+        assert.deepStrictEqual(media, {
+            duration: 90.5,
+            width: 1920,
+            height: 1080,
+            videoCodec: 'h264',
+            audio: [{ codec: 'aac', language: 'jpn', channels: 6 }],
+            subtitles: [{ codec: 'mov_text', language: 'eng', title: '' }]
+        });
+    });
+
+    it('parses a Matroska header', async () => {
+        const media = await probeMedia(write('episode.mkv', makeMkv()), { ffprobe: null });
+        assert.deepStrictEqual(media, {
+            duration: 5.026,
+            width: 3840,
+            height: 2160,
+            videoCodec: 'hevc',
+            audio: [{ codec: 'aac', language: 'jpn', channels: 2 }, { codec: 'flac', language: 'eng', channels: 1 }],
+            subtitles: [{ codec: 'ass', language: 'chi', title: '简体中文' }]
+        });
+    });
+
+    it('uses ffprobe output when available', async () => {
+        const output = {
+            format: { duration: '61.2' },
+            streams: [
+                { codec_type: 'video', codec_name: 'mjpeg', width: 600, height: 600, disposition: { attached_pic: 1 } },
+                { codec_type: 'video', codec_name: 'vp9', width: 1280, height: 720 },
+                { codec_type: 'audio', codec_name: 'opus', channels: 2, tags: { language: 'eng' } }
+            ]
+        };
+        const ffprobe = write('ffprobe', '#!/bin/sh\ncat <<\'EOF\'\n' + JSON.stringify(output) + '\nEOF\n');
+        fs.chmodSync(ffprobe, 0o755);
+        const media = await probeMedia(write('clip.webm', Buffer.alloc(10)), { ffprobe });
+        assert.deepStrictEqual(media, {
+            duration: 61.2,
+            width: 1280,
+            height: 720,
+            videoCodec: 'vp9',
+            audio: [{ codec: 'opus', language: 'eng', channels: 2 }],
+            subtitles: []
+        });
+    });
+
+    it('ignores non-media and unrecognised files', async () => {
+        assert.strictEqual(await probeMedia(write('notes.txt', 'hello'), { ffprobe: null }), null);
+        assert.strictEqual(await probeMedia(write('broken.avi', Buffer.alloc(64)), { ffprobe: null }), null);
+    });
+});
@@ -0,0 +1,222 @@
+/**
+ * mock_graph_server.js - 本地模拟 Microsoft Graph / 令牌服务
+ *
+ * 实现上传流程用到的接口：令牌刷新（轮换 refresh token）、小文件 PUT content、
+ * createUploadSession、带 Content-Range 的分片 PUT（返回 nextExpectedRanges）、
+ * 会话状态查询与删除、按路径 / id 读取和删除文件。
+ *
+ * 通过 mock.inject() 注入故障：指定路由返回 429 / 5xx、令牌失效（401）或上传会话过期（404）。
+ * 单独运行：node test/mock_graph_server.js [port]，地址配置到 OD_GRAPH_BASE_URL / OD_AUTH_BASE_URL。
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const path = require('path');
+const { quickXorHash } = require('../lib/quickxorhash');
+
+async function startMockGraph({ port = 0, refreshToken = 'mock-refresh-token', rotateRefreshToken = true } = {}) {
+    const files = new Map();      // remotePath -> { id, content }
+    const sessions = new Map();   // id -> { remotePath, size, received, chunks, conflictBehavior }
+    const accessTokens = new Set();
+    const faults = [];
+    const requests = [];
+    let validRefreshToken = refreshToken;
+    let nextId = 0;
+    let baseUrl = '';
+
+    const driveItem = (remotePath) => {
+        const file = files.get(remotePath);
+        return {
+            id: file.id,
+            name: path.posix.basename(remotePath),
+            size: file.content.length,
+            file: { hashes: { quickXorHash: quickXorHash(file.content) } }
+        };
+    };
+
+    const findById = (id) => [...files.keys()].find(p => files.get(p).id === id);
+
+    // 与 OneDrive 一致：rename 时另存为 name 1.ext
+    const resolveTarget = (remotePath, conflictBehavior) => {
+        if (!files.has(remotePath) || conflictBehavior === 'replace') return remotePath;
+        if (conflictBehavior === 'fail') return null;
+        const ext = path.posix.extname(remotePath);
+        const base = ext ? remotePath.slice(0, -ext.length) : remotePath;
+        for (let i = 1; ; i++) {
+            if (!files.has(base + ' ' + i + ext)) return base + ' ' + i + ext;
+        }
+    };
+
+    const storeFile = (remotePath, content, conflictBehavior) => {
+        const target = resolveTarget(remotePath, conflictBehavior);
+        if (!target) return null;
+        const existing = files.get(target);
+        files.set(target, { id: existing ? existing.id : 'item-' + (++nextId), content });
+        return target;
+    };
+
+    // 取出第一个匹配且剩余次数未用完的故障
+    const takeFault = (route) => {
+        const fault = faults.find(f => f.route === route && f.times > 0);
+        if (fault) fault.times--;
+        return fault;
+    };
+
+    const handle = (req, body) => {
+        const url = new URL(req.url, baseUrl);
+        const pathname = decodeURIComponent(url.pathname);
+        const route = matchRoute(req.method, pathname);
+        requests.push({ method: req.method, route: route.name, path: pathname, headers: req.headers, size: body.length });
+        if (!route.name) return [404, { error: { code: 'itemNotFound', message: 'Unknown route ' + req.method + ' ' + pathname } }];
+
+        const fault = takeFault(route.name);
+        if (fault?.expireSession && route.params.sessionId) sessions.delete(route.params.sessionId);
+        if (fault?.expireSession) return [404, { error: { code: 'itemNotFound', message: 'Upload session expired' } }];
+        if (fault?.invalidateToken) accessTokens.clear();
+        else if (fault) return [fault.status, { error: { code: 'injected', message: 'Injected fault' } }, fault.retryAfter ? { 'Retry-After': String(fault.retryAfter) } : {}];
+
+        if (route.name === 'token') {
+            const form = new URLSearchParams(body.toString());
+            if (form.get('grant_type') !== 'refresh_token' || form.get('refresh_token') !== validRefreshToken) {
+                return [400, { error: 'invalid_grant', error_description: 'Invalid refresh token' }];
+            }
+            const accessToken = 'access-' + crypto.randomBytes(8).toString('hex');
+            accessTokens.add(accessToken);
+            if (rotateRefreshToken) validRefreshToken = 'refresh-' + crypto.randomBytes(8).toString('hex');
+            return [200, { token_type: 'Bearer', access_token: accessToken, expires_in: 3600, refresh_token: validRefreshToken }];
+        }
+
+        // 上传地址已预授权，不检查令牌
+        if (route.params.sessionId) {
+            const session = sessions.get(route.params.sessionId);
+            if (!session) return [404, { error: { code: 'itemNotFound', message: 'Upload session not found' } }];
+            if (route.name === 'sessionStatus') return [200, { nextExpectedRanges: [session.received + '-'] }];
+            if (route.name === 'sessionDelete') {
+                sessions.delete(route.params.sessionId);
+                return [204, null];
+            }
+            const range = (req.headers['content-range'] || '').match(/^bytes (\d+)-(\d+)\/(\d+)$/);
+            if (!range || (session.size > 0 && parseInt(range[3]) !== session.size) || parseInt(range[2]) - parseInt(range[1]) + 1 !== body.length) {
+                return [400, { error: { code: 'invalidRange', message: 'Invalid Content-Range' } }];
+            }
+            // createUploadSession 请求中没有文件大小，以第一个分片的 Content-Range 为准
+            if (session.size === 0) session.size = parseInt(range[3]);
+            const start = parseInt(range[1]);
+            if (start !== session.received) {
+                return [416, { error: { code: 'invalidRange', message: 'Expected range ' + session.received + '-' }, nextExpectedRanges: [session.received + '-'] }];
+            }
+            session.chunks.push(body);
+            session.received += body.length;
+            if (session.received < session.size) return [202, { nextExpectedRanges: [session.received + '-'] }];
+            sessions.delete(route.params.sessionId);
+            const target = storeFile(session.remotePath, Buffer.concat(session.chunks), session.conflictBehavior);
+            if (!target) return [409, { error: { code: 'nameAlreadyExists', message: 'Name already exists' } }];
+            return [201, driveItem(target)];
+        }
+
+        const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+        if (!accessTokens.has(token)) return [401, { error: { code: 'InvalidAuthenticationToken', message: 'Access token has expired' } }];
+
+        const remotePath = route.params.remotePath;
+        const itemPath = route.params.itemId ? findById(route.params.itemId) : remotePath;
+        switch (route.name) {
+            case 'content': {
+                const target = storeFile(remotePath, body, url.searchParams.get('@microsoft.graph.conflictBehavior') || 'replace');
+                if (!target) return [409, { error: { code: 'nameAlreadyExists', message: 'Name already exists' } }];
+                return [201, driveItem(target)];
+            }
+            case 'createSession': {
+                const request = body.length > 0 ? JSON.parse(body.toString()) : {};
+                const sessionId = crypto.randomBytes(8).toString('hex');
+                sessions.set(sessionId, {
+                    remotePath,
+                    size: 0,
+                    received: 0,
+                    chunks: [],
+                    conflictBehavior: request.item?.['@microsoft.graph.conflictBehavior'] || 'rename'
+                });
+                return [200, { uploadUrl: baseUrl + '/upload/' + sessionId, expirationDateTime: new Date(Date.now() + 86400000).toISOString(), nextExpectedRanges: ['0-'] }];
+            }
+            case 'item':
+                return files.has(itemPath) ? [200, driveItem(itemPath)] : [404, { error: { code: 'itemNotFound', message: 'Item not found' } }];
+            case 'itemContent':
+                return files.has(itemPath) ? [200, files.get(itemPath).content] : [404, { error: { code: 'itemNotFound', message: 'Item not found' } }];
+            case 'itemDelete':
+                if (!files.has(itemPath)) return [404, { error: { code: 'itemNotFound', message: 'Item not found' } }];
+                files.delete(itemPath);
+                return [204, null];
+        }
+        return [404, null];
+    };
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            let status, payload, headers;
+            try {
+                [status, payload, headers = {}] = handle(req, Buffer.concat(chunks));
+            } catch (e) {
+                [status, payload, headers] = [500, { error: { code: 'generalException', message: e.message } }, {}];
+            }
+            res.writeHead(status, Buffer.isBuffer(payload) ? headers : { 'Content-Type': 'application/json', ...headers });
+            res.end(payload === null ? undefined : Buffer.isBuffer(payload) ? payload : JSON.stringify(payload));
+        });
+    });
+
+    await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+    baseUrl = 'http://127.0.0.1:' + server.address().port;
+
+    return {
+        url: baseUrl,
+        graphBaseUrl: baseUrl + '/v1.0',
+        authBaseUrl: baseUrl,
+        files,
+        sessions,
+        requests,
+        getFile: (remotePath) => files.get(remotePath)?.content || null,
+        getRefreshToken: () => validRefreshToken,
+        // fault: { route, times = 1, status, retryAfter, expireSession, invalidateToken }
+        // route: token / content / createSession / chunk / sessionStatus / sessionDelete / item / itemContent / itemDelete
+        inject: (fault) => faults.push({ times: 1, status: 503, ...fault }),
+        pendingFaults: () => faults.filter(f => f.times > 0).length,
+        close: () => new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(resolve);
+        })
+    };
+}
+
+function matchRoute(method, pathname) {
+    let m;
+    if (method === 'POST' && (m = pathname.match(/^\/([^/]+)\/oauth2\/v2\.0\/token$/))) return { name: 'token', params: { tenantId: m[1] } };
+    if ((m = pathname.match(/^\/upload\/([0-9a-f]+)$/))) {
+        const name = { PUT: 'chunk', GET: 'sessionStatus', DELETE: 'sessionDelete' }[method];
+        return { name, params: { sessionId: m[1] } };
+    }
+    if (method === 'PUT' && (m = pathname.match(/^\/v1\.0\/me\/drive\/root:\/(.+):\/content$/))) return { name: 'content', params: { remotePath: m[1] } };
+    if (method === 'POST' && (m = pathname.match(/^\/v1\.0\/me\/drive\/root:\/(.+):\/createUploadSession$/))) return { name: 'createSession', params: { remotePath: m[1] } };
+    if (method === 'GET' && (m = pathname.match(/^\/v1\.0\/me\/drive\/root:\/(.+):\/content$/))) return { name: 'itemContent', params: { remotePath: m[1] } };
+    if ((m = pathname.match(/^\/v1\.0\/me\/drive\/root:\/(.+)$/))) {
+        const name = { GET: 'item', DELETE: 'itemDelete' }[method];
+        return { name, params: { remotePath: m[1] } };
+    }
+    if ((m = pathname.match(/^\/v1\.0\/me\/drive\/items\/([^/]+)$/))) {
+        const name = { GET: 'item', DELETE: 'itemDelete' }[method];
+        return { name, params: { itemId: m[1] } };
+    }
+    return { name: null, params: {} };
+}
+
+module.exports = {
+    startMockGraph
+};
+
+if (require.main === module) {
+    startMockGraph({ port: parseInt(process.argv[2]) || 0 }).then(mock => {
+        console.log('Mock Graph server listening');
+        console.log('  OD_GRAPH_BASE_URL=' + mock.graphBaseUrl);
+        console.log('  OD_AUTH_BASE_URL=' + mock.authBaseUrl);
+        console.log('  OD_REFRESH_TOKEN=' + mock.getRefreshToken());
+    });
+}
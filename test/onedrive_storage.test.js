@@ -0,0 +1,95 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createStorage } = require('../lib/storage');
+const { quickXorHash } = require('../lib/quickxorhash');
+const { startMockGraph } = require('./mock_graph_server');
+const { makeData } = require('./helpers');
+
+describe('OneDrive storage against the mock Graph server', () => {
+    let mock;
+    let storage;
+
+    before(async () => {
+        mock = await startMockGraph();
+        storage = createStorage('onedrive', {
+            env: {
+                OD_CLIENT_ID: 'client',
+                OD_CLIENT_SECRET: 'secret',
+                OD_TENANT_ID: 'common',
+                OD_REFRESH_TOKEN: mock.getRefreshToken(),
+                OD_GRAPH_BASE_URL: mock.graphBaseUrl,
+                OD_AUTH_BASE_URL: mock.authBaseUrl
+            }
+        });
+        await storage.init();
+    });
+
+    after(() => mock.close());
+
+    it('reports the rotated refresh token', () => {
+        assert.strictEqual(storage.getRotatedRefreshToken(), mock.getRefreshToken());
+    });
+
+    it('uploads small files with the requested conflict behavior', async () => {
+        const data = makeData(1000, 'small');
+        const item = await storage.putFile('root/a b.txt', data, 'rename');
+        assert.deepStrictEqual(mock.getFile('root/a b.txt'), data);
+        assert.strictEqual(await storage.getHash(item), quickXorHash(data));
+
+        const renamed = await storage.putFile('root/a b.txt', data, 'rename');
+        assert.strictEqual(renamed.name, 'a b 1.txt');
+        assert.strictEqual(renamed.path, 'root/a b 1.txt');
+        assert.deepStrictEqual(mock.getFile(renamed.path), data);
+        await assert.rejects(storage.putFile('root/a b.txt', data, 'fail'), e => e.response?.status === 409);
+    });
+
+    it('encodes and sanitizes names that are not valid in URLs or on OneDrive', async () => {
+        const data = makeData(500, 'names');
+        await storage.putFile('root/50% #1/CON.txt?', data, 'replace');
+        assert.deepStrictEqual(mock.getFile('root/50% #1/CON_.txt_'), data);
+        assert.deepStrictEqual(await storage.getFile('root/50% #1/CON.txt?'), data);
+    });
+
+    it('uploads chunks and resumes from nextExpectedRanges', async () => {
+        const data = makeData(3000, 'chunked');
+        const session = await storage.initSession('root/big.bin', data.length, 'replace');
+        await storage.putChunk(session, data.subarray(0, 1000), 0);
+        assert.strictEqual(await storage.getOffset(session), 1000);
+        await assert.rejects(storage.putChunk(session, data.subarray(2000), 2000), e => e.response?.status === 416);
+        await storage.putChunk(session, data.subarray(1000), 1000);
+        const item = await storage.finalize(session);
+        assert.strictEqual(item.size, data.length);
+        assert.deepStrictEqual(mock.getFile('root/big.bin'), data);
+    });
+
+    it('reports the renamed path of a chunked upload', async () => {
+        const data = makeData(2000, 'renamed-chunked');
+        const session = await storage.initSession('root/big.bin', data.length, 'rename');
+        await storage.putChunk(session, data, 0);
+        const item = await storage.finalize(session);
+        assert.strictEqual(item.path, 'root/big 1.bin');
+        assert.deepStrictEqual(mock.getFile('root/big 1.bin'), data);
+    });
+
+    it('returns null for an expired upload session', async () => {
+        const session = await storage.initSession('root/expired.bin', 2000, 'replace');
+        mock.inject({ route: 'chunk', expireSession: true });
+        await assert.rejects(storage.putChunk(session, makeData(1000, 'x'), 0), e => e.response?.status === 404);
+        assert.strictEqual(await storage.getOffset(session), null);
+    });
+
+    it('refreshes the access token after a 401', async () => {
+        const refreshes = mock.requests.filter(r => r.route === 'token').length;
+        mock.inject({ route: 'item', invalidateToken: true });
+        assert.ok(await storage.exists('root/big.bin'));
+        assert.strictEqual(mock.requests.filter(r => r.route === 'token').length, refreshes + 1);
+        assert.strictEqual(storage.getRotatedRefreshToken(), mock.getRefreshToken());
+    });
+
+    it('marks refresh failures as authentication errors', async () => {
+        const rejected = createStorage('onedrive', {
+            env: { OD_TENANT_ID: 'common', OD_REFRESH_TOKEN: 'revoked', OD_GRAPH_BASE_URL: mock.graphBaseUrl, OD_AUTH_BASE_URL: mock.authBaseUrl }
+        });
+        await assert.rejects(rejected.init(), e => e.isAuthError && e.response?.status === 400);
+    });
+});
@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { MAX_PATH_LENGTH, sanitizeSegment, sanitizePath, encodePath } = require('../lib/paths');
+
+describe('OneDrive path rules', () => {
+    it('replaces invalid characters and trims spaces and trailing dots', () => {
+        assert.strictEqual(sanitizeSegment('a:b*c?"d<e>f|g\\h'), 'a_b_c__d_e_f_g_h');
+        assert.strictEqual(sanitizeSegment('  Season 1. . '), 'Season 1');
+        assert.strictEqual(sanitizeSegment('...'), '_');
+        assert.strictEqual(sanitizeSegment('50% #1 & more.txt'), '50% #1 & more.txt');
+    });
+
+    it('avoids reserved names', () => {
+        assert.strictEqual(sanitizeSegment('CON'), 'CON_');
+        assert.strictEqual(sanitizeSegment('com1.txt'), 'com1_.txt');
+        assert.strictEqual(sanitizeSegment('desktop.ini'), 'desktop_.ini');
+        assert.strictEqual(sanitizeSegment('.lock'), '_.lock');
+        assert.strictEqual(sanitizeSegment('~$report.docx'), '_~$report.docx');
+        assert.strictEqual(sanitizeSegment('a_vti_b'), 'a_vti-b');
+        assert.strictEqual(sanitizeSegment('CONSOLE.txt'), 'CONSOLE.txt');
+    });
+
+    it('caps segment and path length while keeping extensions and uniqueness', () => {
+        const long = sanitizeSegment('x'.repeat(300) + '.mkv');
+        assert.strictEqual(long.length, 255);
+        assert.match(long, /~[0-9a-f]{8}\.mkv$/);
+        assert.notStrictEqual(long, sanitizeSegment('x'.repeat(301) + '.mkv'));
+
+        const deep = sanitizePath(['root', 'd'.repeat(200), 'e'.repeat(200), 'f'.repeat(100) + '.bin'].join('/'));
+        assert.ok(deep.length <= MAX_PATH_LENGTH);
+        assert.ok(deep.startsWith('root/'));
+        assert.ok(deep.endsWith('.bin'));
+    });
+
+    it('sanitizes every segment and leaves valid paths unchanged', () => {
+        assert.strictEqual(sanitizePath('imgbed/Show: Part 1/AUX/ep?.mkv'), 'imgbed/Show_ Part 1/AUX_/ep_.mkv');
+        assert.strictEqual(sanitizePath('imgbed/202401/a b.txt'), 'imgbed/202401/a b.txt');
+    });
+
+    it('percent-encodes each segment for Graph URLs', () => {
+        assert.strictEqual(encodePath('root/50% #1?/a b.txt'), 'root/50%25%20%231%3F/a%20b.txt');
+    });
+});
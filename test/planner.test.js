@@ -0,0 +1,24 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { planStrategy, describePlan } = require('../lib/planner');
+
+describe('download planner', () => {
+    const files = [{ path: 'a', size: 40 }, { path: 'b', size: 40 }, { path: 'c', size: 200 }];
+
+    it('chooses the mode from the free space', () => {
+        assert.strictEqual(planStrategy(280, files, 1000, 0).mode, 'normal');
+        assert.strictEqual(planStrategy(280, [files[2]], 100, 0).mode, 'streaming');
+        const plan = planStrategy(280, files, 1000, 0, 100);
+        assert.strictEqual(plan.mode, 'sequential');
+        assert.match(describePlan(plan), /2 batches \(1 streamed\)/);
+    });
+
+    it('uses the requested download mode instead of the automatic choice', () => {
+        assert.strictEqual(planStrategy(280, files, 1000, 0, 0, 'streaming').mode, 'streaming');
+        const sequential = planStrategy(280, files, 1000, 0, 100, 'sequential');
+        assert.strictEqual(sequential.mode, 'sequential');
+        assert.deepStrictEqual(sequential.batches.map(b => [b.files.length, b.stream]), [[2, false], [1, true]]);
+        // 没有文件列表时无法分批，仍自动选择
+        assert.strictEqual(planStrategy(280, [], 100, 0, 0, 'sequential').mode, 'streaming');
+    });
+});
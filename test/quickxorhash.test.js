@@ -0,0 +1,31 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createQuickXorHash, quickXorHash } = require('../lib/quickxorhash');
+
+// 空输入与单字节为 rclone 测试中的值；其余由按 Microsoft C# 参考实现（3 个 64 位单元）逐行移植的程序计算，与本实现的逐字节算法相互独立
+const PATTERN = Buffer.from(Array.from({ length: 1000 }, (_, i) => (i * 7 + 3) % 256));
+const VECTORS = [
+    ['empty', Buffer.alloc(0), 'AAAAAAAAAAAAAAAAAAAAAAAAAAA='],
+    ['single byte', Buffer.from('J'), 'SgAAAAAAAAAAAAAAAQAAAAAAAAA='],
+    ['short ASCII', Buffer.from('hello'), 'aCgDG9jwBgAAAAAABQAAAAAAAAA='],
+    ['longer than 20 bytes', Buffer.from('The quick brown fox jumps over the lazy dog'), 'bMSlbysmxJL6S75XwfMcQZOpcr4='],
+    ['longer than 160 bytes', PATTERN, 'dgD8j0n8sM0aPE5CUJ8tqmilX/E=']
+];
+
+describe('QuickXorHash', () => {
+    for (const [name, input, expected] of VECTORS) {
+        it('matches the reference value for ' + name, () => {
+            assert.strictEqual(quickXorHash(input), expected);
+        });
+    }
+
+    it('gives the same result when updated in chunks', () => {
+        for (const [, input, expected] of VECTORS) {
+            // 分段边界不与 160 字节对齐
+            const hash = createQuickXorHash();
+            const bounds = [0, 7, 100, 261, input.length];
+            for (let i = 1; i < bounds.length; i++) hash.update(input.subarray(bounds[i - 1], bounds[i]));
+            assert.strictEqual(hash.digest(), expected);
+        }
+    });
+});
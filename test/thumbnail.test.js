@@ -0,0 +1,56 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseThumbnailOptions, previewPaths, generateThumbnails } = require('../lib/thumbnail');
+const { makeTempDir } = require('./helpers');
+
+describe('video thumbnails', () => {
+    const dir = makeTempDir('magnet-thumbs-');
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    // 记录参数并写出最后一个参数（输出文件）的 ffmpeg 替身
+    const fakeFfmpeg = (name, script) => {
+        const filePath = path.join(dir, name);
+        fs.writeFileSync(filePath, '#!/bin/sh\necho "$@" >> "' + filePath + '.log"\n' + script);
+        fs.chmodSync(filePath, 0o755);
+        return filePath;
+    };
+    const video = path.join(dir, 'movie.mkv');
+    fs.writeFileSync(video, 'not really a video');
+
+    it('is enabled by thumbnails or THUMBNAILS', () => {
+        assert.strictEqual(parseThumbnailOptions({}, {}), null);
+        assert.deepStrictEqual(parseThumbnailOptions({ thumbnails: true }, { FFMPEG_PATH: '/opt/ffmpeg' }), { ffmpeg: '/opt/ffmpeg', probing: { ffprobe: 'ffprobe' } });
+    });
+
+    it('names previews after the video', () => {
+        assert.deepStrictEqual(previewPaths('Show/S01/ep01.mkv'), { poster: 'Show/S01/ep01.thumb.jpg', contactSheet: 'Show/S01/ep01.sheet.jpg' });
+    });
+
+    it('extracts a poster and tiles evenly spaced frames into a contact sheet', async () => {
+        const ffmpeg = fakeFfmpeg('ffmpeg', 'for arg; do out="$arg"; done\nprintf jpg > "$out"\n');
+        const result = await generateThumbnails(video, path.join(dir, 'out'), { ffmpeg, probing: { ffprobe: null } }, 1200);
+        assert.deepStrictEqual(result, { poster: path.join(dir, 'out', 'poster.jpg'), contactSheet: path.join(dir, 'out', 'sheet.jpg') });
+
+        const calls = fs.readFileSync(ffmpeg + '.log', 'utf8').trim().split('\n');
+        assert.strictEqual(calls.length, 1 + 12 + 1);
+        assert.match(calls[0], /-ss 120\.000 -i .*movie\.mkv .*scale=640:-2/);
+        assert.match(calls[1], /-ss 50\.000 /);
+        assert.match(calls[12], /-ss 1150\.000 /);
+        assert.match(calls[13], /frame%02d\.jpg -vf tile=4x3/);
+    });
+
+    it('keeps the poster when the contact sheet fails', async () => {
+        const ffmpeg = fakeFfmpeg('ffmpeg-poster', 'for arg; do out="$arg"; done\ncase "$out" in *poster.jpg) printf jpg > "$out" ;; *) echo "seek failed" >&2; exit 1 ;; esac\n');
+        const result = await generateThumbnails(video, path.join(dir, 'partial'), { ffmpeg, probing: { ffprobe: null } }, 60);
+        assert.deepStrictEqual(result, { poster: path.join(dir, 'partial', 'poster.jpg'), contactSheet: null });
+    });
+
+    it('skips gracefully without an encoder or for non-video files', async () => {
+        const thumbnailing = { ffmpeg: path.join(dir, 'no-ffmpeg'), probing: { ffprobe: null } };
+        assert.strictEqual(await generateThumbnails(video, path.join(dir, 'none'), thumbnailing, 60), null);
+        assert.strictEqual(thumbnailing.ffmpeg, null);
+        assert.strictEqual(await generateThumbnails(path.join(dir, 'notes.txt'), path.join(dir, 'none'), { ffmpeg: 'ffmpeg', probing: {} }, 60), null);
+    });
+});
@@ -0,0 +1,104 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const dgram = require('dgram');
+const { DEFAULT_SOURCES, BACKUP_TRACKERS, parseTrackerOptions, parseTrackerList, resolveTrackers, probeTracker } = require('../lib/trackers');
+
+// 只回应 BEP 15 connect 请求的 UDP tracker
+function startUdpTracker() {
+    return new Promise((resolve) => {
+        const socket = dgram.createSocket('udp4');
+        socket.on('message', (message, remote) => {
+            const reply = Buffer.alloc(16);
+            message.copy(reply, 4, 12, 16);
+            reply.writeBigUInt64BE(123n, 8);
+            socket.send(reply, remote.port, remote.address);
+        });
+        socket.bind(0, '127.0.0.1', () => resolve({
+            announce: 'udp://127.0.0.1:' + socket.address().port + '/announce',
+            close: () => new Promise(r => socket.close(r))
+        }));
+    });
+}
+
+// /announce 返回 bencode 的 failure reason，/list 返回 tracker 列表，其余 404
+function startHttpServer(list) {
+    return new Promise((resolve) => {
+        const server = http.createServer((req, res) => {
+            if (req.url.startsWith('/announce?info_hash=')) return res.end('d14:failure reason13:unknown hashe');
+            if (req.url === '/list') return res.end(list);
+            res.statusCode = 404;
+            res.end('not found');
+        });
+        server.listen(0, '127.0.0.1', () => {
+            const base = 'http://127.0.0.1:' + server.address().port;
+            resolve({ base, close: () => new Promise(r => server.close(r)) });
+        });
+    });
+}
+
+describe('tracker list', () => {
+    it('validates and dedupes tracker URLs', () => {
+        assert.deepStrictEqual(parseTrackerList([
+            'udp://tracker.example.com:1337/announce',
+            'UDP://Tracker.Example.com:1337/announce',
+            'udp://no-port.example.com/announce',
+            'ftp://tracker.example.com/announce',
+            'not a url',
+            'https://tracker.example.com/announce'
+        ]), [
+            'udp://tracker.example.com:1337/announce',
+            'https://tracker.example.com/announce'
+        ]);
+        assert.deepStrictEqual(parseTrackerList('http://a.example/announce,\n\nwss://b.example/ws  http://a.example/announce'), [
+            'http://a.example/announce',
+            'wss://b.example/ws'
+        ]);
+        assert.deepStrictEqual(parseTrackerList(undefined), []);
+    });
+
+    it('reads options with environment fallbacks', () => {
+        const defaults = parseTrackerOptions({}, {});
+        assert.deepStrictEqual(defaults.sources, DEFAULT_SOURCES);
+        assert.strictEqual(defaults.probe, true);
+
+        const parsed = parseTrackerOptions({ trackers: ['udp://x.example:1/announce'], tracker_sources: '' }, { BT_TRACKERS: 'udp://y.example:1/announce', PROBE_TRACKERS: 'false' });
+        assert.deepStrictEqual(parsed.sources, []);
+        assert.deepStrictEqual(parsed.trackers, ['udp://x.example:1/announce']);
+        assert.strictEqual(parsed.probe, false);
+    });
+
+    it('probes UDP and HTTP trackers', async () => {
+        const udp = await startUdpTracker();
+        const web = await startHttpServer('');
+        try {
+            assert.strictEqual(await probeTracker(udp.announce, 1000), true);
+            assert.strictEqual(await probeTracker(web.base + '/announce', 1000), true);
+            assert.strictEqual(await probeTracker(web.base + '/missing', 1000), false);
+        } finally {
+            await udp.close();
+            await web.close();
+        }
+    });
+
+    it('merges sources with configured trackers and drops unresponsive ones', async () => {
+        const udp = await startUdpTracker();
+        // 已关闭的端口：UDP 无响应
+        const silent = await startUdpTracker();
+        await silent.close();
+        const web = await startHttpServer([udp.announce, '', silent.announce, 'garbage'].join('\n'));
+        try {
+            const trackers = await resolveTrackers({
+                sources: [web.base + '/list', web.base + '/missing'],
+                trackers: [web.base + '/announce', udp.announce],
+                probe: true,
+                probeTimeout: 500
+            });
+            // 内置备用 tracker 是否可用取决于网络
+            assert.deepStrictEqual(trackers.filter(t => !BACKUP_TRACKERS.includes(t)), [web.base + '/announce', udp.announce]);
+        } finally {
+            await udp.close();
+            await web.close();
+        }
+    });
+});
@@ -0,0 +1,131 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createStorage } = require('../lib/storage');
+const { makeData } = require('./helpers');
+
+const MB = 1024 * 1024;
+
+// 最简 WebDAV 服务：MKCOL 总是成功，HEAD 按已存文件返回；PUT 行为由 mode 决定：
+// store 保存请求体，hold 不读取请求体（模拟慢速服务端），redirect 返回 302
+function startWebDav() {
+    const files = new Map();
+    const state = { mode: 'store', held: [] };
+    const server = http.createServer((req, res) => {
+        const remotePath = decodeURIComponent(req.url.slice(1));
+        if (req.method === 'MKCOL') {
+            res.statusCode = 201;
+            return res.end();
+        }
+        if (req.method === 'HEAD') {
+            res.statusCode = files.has(remotePath) ? 200 : 404;
+            if (files.has(remotePath)) res.setHeader('Content-Length', files.get(remotePath).length);
+            return res.end();
+        }
+        if (req.method !== 'PUT') {
+            res.statusCode = 405;
+            return res.end();
+        }
+        if (state.mode === 'redirect') {
+            res.writeHead(302, { Location: 'http://127.0.0.1:1/elsewhere' });
+            return res.end();
+        }
+        if (state.mode === 'hold') {
+            req.pause();
+            state.held.push(req);
+            return;
+        }
+        const chunks = [];
+        req.on('data', d => chunks.push(d));
+        req.on('end', () => {
+            files.set(remotePath, Buffer.concat(chunks));
+            res.statusCode = 201;
+            res.end();
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+        url: 'http://127.0.0.1:' + server.address().port,
+        files,
+        state,
+        close: () => {
+            state.held.forEach(req => req.destroy());
+            server.closeAllConnections();
+            return new Promise(r => server.close(r));
+        }
+    })));
+}
+
+describe('WebDAV storage', () => {
+    let dav;
+    let storage;
+
+    before(async () => {
+        dav = await startWebDav();
+        storage = createStorage('webdav', { options: { webdav: { url: dav.url } } });
+    });
+
+    after(() => dav.close());
+
+    it('uploads small files and streamed sessions', async () => {
+        dav.state.mode = 'store';
+        const small = makeData(1000, 'webdav-small');
+        const item = await storage.putFile('root/a.txt', small);
+        assert.strictEqual(item.path, 'root/a.txt');
+        assert.deepStrictEqual(dav.files.get('root/a.txt'), small);
+
+        const big = makeData(3 * MB, 'webdav-big');
+        const session = await storage.initSession('root/a.txt', big.length, 'rename');
+        for (let start = 0; start < big.length; start += 256 * 1024) {
+            await storage.putChunk(session, big.subarray(start, start + 256 * 1024), start);
+        }
+        const renamed = await storage.finalize(session);
+        assert.strictEqual(renamed.path, 'root/a 1.txt');
+        assert.deepStrictEqual(dav.files.get('root/a 1.txt'), big);
+    });
+
+    it('does not keep listeners from earlier backpressure waits', async () => {
+        dav.state.mode = 'store';
+        const data = makeData(8 * MB, 'webdav-listeners');
+        const session = await storage.initSession('root/listeners.bin', data.length, 'replace');
+        const size = 256 * 1024;
+        await storage.putChunk(session, data.subarray(0, size), 0);
+        const closeListeners = session.body.listenerCount('close');
+        const drainListeners = session.body.listenerCount('drain');
+        for (let start = size; start < data.length; start += size) {
+            await storage.putChunk(session, data.subarray(start, start + size), start);
+        }
+        assert.strictEqual(session.body.listenerCount('close'), closeListeners);
+        assert.strictEqual(session.body.listenerCount('drain'), drainListeners);
+        await storage.finalize(session);
+        assert.deepStrictEqual(dav.files.get('root/listeners.bin'), data);
+    });
+
+    it('stops accepting chunks while the server is not reading instead of buffering the body', async () => {
+        dav.state.mode = 'hold';
+        const total = 64 * MB;
+        const chunk = makeData(MB, 'webdav-hold');
+        const session = await storage.initSession('root/held.bin', total, 'replace');
+        let accepted = 0;
+        for (let start = 0; start < total; start += MB) {
+            const written = await Promise.race([
+                storage.putChunk(session, chunk, start).then(() => true),
+                new Promise(resolve => setTimeout(resolve, 500, false))
+            ]);
+            if (!written) break;
+            accepted++;
+        }
+        // 只有套接字缓冲区中的数据，远小于整个文件
+        assert.ok(accepted < 32, 'accepted ' + accepted + ' MB without the server reading');
+        await storage.abort(session);
+    });
+
+    it('refuses redirects', async () => {
+        dav.state.mode = 'redirect';
+        await assert.rejects(storage.putFile('root/moved.txt', Buffer.from('x')), /redirected PUT root\/moved\.txt \(HTTP 302/);
+        // 请求头随第一个分片发出
+        const session = await storage.initSession('root/moved.bin', 10, 'replace');
+        await storage.putChunk(session, Buffer.alloc(10), 0);
+        await assert.rejects(session.response, /redirected/);
+        await assert.rejects(storage.finalize(session), /redirected/);
+    });
+});